@@ -19,6 +19,9 @@ accel.on('ready', function () {
     // for more accureate shake detection, increase the rate
 //    accel.setOutputRate(600);
 
+    // to ignore tilting and let the accelerometer detect shakes itself, uncomment this line:
+//    accel.configureTransient({ threshold: 0.5, shake: true });
+
 
 });
 
@@ -8,23 +8,172 @@
 // except according to those terms.
 
 var util = require('util');
+var fs = require('fs');
 var EventEmitter = require('events').EventEmitter;
 var queue = require('sync-queue');
+var InterruptManager = require('./lib/interrupts');
+var SampleStream = require('./lib/stream');
+var filters = require('./lib/filters');
+var Pedometer = require('./lib/pedometer');
+var GestureRecognizer = require('./lib/gestures');
+var VibrationAnalyzer = require('./lib/vibration');
+var recording = require('./lib/recording');
+var registers = require('./lib/registers');
 
 // The SparkFun breakout board defaults to 1, set to 0 if SA0 jumper on the bottom of the board is set
 var I2C_ADDRESS = 0x1D;  // 0x1D if SA0 is high, 0x1C if low
+var I2C_ADDRESSES = [0x1D, 0x1C];
+
+// The module wires INT2 to the second GPIO of the port. INT1 is not connected.
+var INTERRUPT_PIN = 1;
 
 // See the many application notes for more info on setting all of these registers:
 // http://www.freescale.com/webapp/sps/site/prod_summary.jsp?code=MMA8452Q
 // MMA8452 registers
+var STATUS = 0x00;
 var OUT_X_MSB = 0x01;
+var SYSMOD = 0x0B;
 var XYZ_DATA_CFG = 0x0E;
+var HP_FILTER_CUTOFF = 0x0F;
 var WHO_AM_I = 0x0D;
+var PL_STATUS = 0x10;
+var PL_CFG = 0x11;
+var PL_COUNT = 0x12;
+var PL_BF_ZCOMP = 0x13;
+var P_L_THS_REG = 0x14;
+var FF_MT_CFG = 0x15;
+var FF_MT_SRC = 0x16;
+var FF_MT_THS = 0x17;
+var FF_MT_COUNT = 0x18;
+var TRANSIENT_CFG = 0x1D;
+var TRANSIENT_SRC = 0x1E;
+var TRANSIENT_THS = 0x1F;
+var TRANSIENT_COUNT = 0x20;
+var PULSE_CFG = 0x21;
+var PULSE_SRC = 0x22;
+var PULSE_THSX = 0x23;
+var PULSE_THSY = 0x24;
+var PULSE_THSZ = 0x25;
+var PULSE_TMLT = 0x26;
+var PULSE_LTCY = 0x27;
+var PULSE_WIND = 0x28;
+var ASLP_COUNT = 0x29;
 var CTRL_REG1 = 0x2A;
+var CTRL_REG2 = 0x2B;
+var CTRL_REG3 = 0x2C;
 var CTRL_REG4 = 0x2D;
+var OFF_X = 0x2F;
+var OFF_Y = 0x30;
+var OFF_Z = 0x31;
+
+// Register value tables, see lib/registers.js
+var OUTPUT_RATES = registers.OUTPUT_RATES;
+var SLEEP_RATES = registers.SLEEP_RATES;
+var POWER_MODES = registers.POWER_MODES;
+var WAKE_SOURCES = registers.WAKE_SOURCES;
+var PL_TRIP_ANGLES = registers.PL_TRIP_ANGLES;
+var PL_HYSTERESIS = registers.PL_HYSTERESIS;
+var PL_Z_LOCKOUT = registers.PL_Z_LOCKOUT;
+var PL_BACK_FRONT = registers.PL_BACK_FRONT;
+var PL_ORIENTATIONS = registers.PL_ORIENTATIONS;
+var OFFSET_STEP = registers.OFFSET_STEP;
+var THS_STEP = registers.THS_STEP;
+
+// Rate in Hz that the detection engines run at, at least, in each power mode
+var POWER_MODE_ENGINE_RATES = { normal: 50, lowNoiseLowPower: 12.5, highResolution: 400, lowPower: 0 };
+
+// Pin compatible parts of the family, keyed by their WHO_AM_I value. They share
+// a register map and differ in output resolution, whether they have a FIFO, and
+// whether the portrait/landscape angles can be changed.
+var CHIPS = {
+  0x1A: { name: 'MMA8451Q', id: 0x1A, resolution: 14, features: ['freefall', 'motion', 'pulse', 'transient', 'portraitLandscape', 'portraitLandscapeAngles', 'autoSleep', 'fifo'] },
+  0x2A: { name: 'MMA8452Q', id: 0x2A, resolution: 12, features: ['freefall', 'motion', 'pulse', 'transient', 'portraitLandscape', 'autoSleep'] },
+  0x3A: { name: 'MMA8453Q', id: 0x3A, resolution: 10, features: ['freefall', 'motion', 'pulse', 'transient', 'portraitLandscape', 'autoSleep'] }
+};
+
+// Output change in g when the self test bit is set, from the MMA8452Q datasheet's
+// +44, +61 and +392 counts at 4g. The datasheet only gives typical values, so
+// anything from half to one and a half times them passes.
+var SELF_TEST_CHANGE = [44 / 512, 61 / 512, 392 / 512];
+var SELF_TEST_TOLERANCE = 0.5;
+// Output rate the self test samples at
+var SELF_TEST_RATE = 100;
+
+// Settings which configure, getConfig and the options of use cover
+var CONFIG_SETTINGS = ['scaleRange', 'outputRate', 'powerMode', 'lowNoise', 'fastRead', 'shakeThreshold',
+  'orientationSuppression', 'sampleBufferLength', 'tiltThreshold', 'tiltHysteresis'];
+
+// Events which are produced from samples, so need data interrupts
+var DATA_EVENTS = ['data', 'sample', 'orientation', 'shake', 'batch', 'filtered', 'tilt', 'step', 'gesture', 'vibration', 'vibrationAlert'];
+
+// Software detectors, which can each read raw or filtered samples
+var DETECTORS = ['shake', 'orientation', 'step', 'gesture', 'vibration'];
+
+// Length of an [x, y, z] vector
+function vectorLength(v) {
+  return Math.sqrt(v[0]*v[0] + v[1]*v[1] + v[2]*v[2]);
+}
+
+// Callback for internal calls, whose errors are emitted by _failProcedure
+function ignoreResult() {}
+
+// Wraps an async method so that it returns a Promise when called without a callback.
+// The Promise resolves with what the callback would get, or rejects with the error.
+// Errors go one way: with an 'error' listener they are emitted as before and the
+// Promise is marked as handled; without one only the Promise rejects.
+function promising(method) {
+  return function() {
+    var self = this;
+    var args = Array.prototype.slice.call(arguments);
+
+    // Runtimes without Promises only have callbacks
+    if (typeof args[args.length - 1] == 'function' || typeof Promise == 'undefined') {
+      return method.apply(self, args);
+    }
+
+    // A callback passed as undefined is left out, as are optional arguments, so the
+    // callback lands in its place
+    while (args.length && args[args.length - 1] === undefined) {
+      args.pop();
+    }
+    while (args.length < method.length - 1) {
+      args.push(undefined);
+    }
+    var emitted = false;
+    var promise = new Promise(function(resolve, reject) {
+      args.push(function settle(err, result) {
+        if (!err) {
+          return resolve(result);
+        }
+        if (self.listeners('error').length) {
+          emitted = true;
+          if (promise) promise.catch(ignoreResult);
+        }
+        else {
+          // Keep _failProcedure from emitting it, with nothing to catch it
+          Object.defineProperty(err, '_rejected', { value: true });
+        }
+        reject(err);
+      });
+      method.apply(self, args);
+    });
+    // The method may have failed before the Promise was assigned
+    if (emitted) {
+      promise.catch(ignoreResult);
+    }
+    return promise;
+  };
+}
 
-function Accelerometer (hardware, callback) {
+function Accelerometer (hardware, options, callback) {
   var self = this;
+
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
   // Command Queue
   self.queue = new queue();
   // Port assignment
@@ -33,26 +182,82 @@ function Accelerometer (hardware, callback) {
   self.outputRate = 12.5;
   // Sets full-scale range to +/-2, 4, or 8g. Used to calc real g values.
   self.scaleRange = 2;
-  // Interrupt pin for the data ready event
-  self.dataInterrupt = self.hardware.digital[1];
-  // Address for i2C
-  // TODO: Account for manual address changes?
-  self.i2c = hardware.I2C(I2C_ADDRESS);
+  // Which part of the family we are talking to, read from WHO_AM_I during init
+  self.chip = null;
+  // Whether init has finished, or the error it failed with, see ready
+  self._initialized = false;
+  self._initError = null;
+  self._readyCallbacks = [];
+  // Batching settings and the samples collected so far, see setBatch
+  self._batch = null;
+  // Whether each sample is emitted and checked for shakes and orientation
+  self._sampleEvents = true;
+  // Whether a recording is being replayed, see replay
+  self._replaying = false;
+  // Sequence number of the next sample, and when the last one was read
+  self._sequence = 0;
+  self._lastSampleTime = null;
+  // Whether only the 8 bit MSB registers are read, see setFastRead
+  self.fastRead = false;
+  // Bits per axis in readings: the part's resolution, or 8 in fast read mode
+  self.resolution = 12;
+  // Pins wired to INT2 and INT1, given as an index into hardware.digital or a pin
+  function toPin(pin) {
+    return typeof pin == 'number' ? self.hardware.digital[pin] : pin;
+  }
+  self.dataInterrupt = toPin(options.interruptPin !== undefined ? options.interruptPin : INTERRUPT_PIN);
+  var int1 = options.int1Pin !== undefined ? toPin(options.int1Pin) : null;
+  // Times a failed I2C transfer is tried again, and the delay in ms before the first retry
+  self.retries = options.retries !== undefined ? options.retries : 3;
+  self.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 10;
+  // Whether the chip is answering, see setWatchdog
+  self.connected = true;
+  // Watchdog settings and timer, when it is on
+  self._watchdog = null;
+  self._recovering = false;
+  // When the last sample was read, for the watchdog
+  self._lastData = Date.now();
+  // Last value the driver wrote to each configuration register
+  self._shadow = {};
+  // Address for i2C, 0x1C if the SA0 jumper has been cut
+  self.address = options.address !== undefined ? options.address : I2C_ADDRESS;
+  self.i2c = hardware.I2C(self.address);
 
   // Squared value of magnitude required for shake event
   self.shakeThreshold2 = Math.pow(1.7, 2);
 
-  self.bufferLength = 13;  // how many samples to process for a low pass filter
-  self.bufferIndex = 0;    // index into sampleBuffer[]
-  self.sampleBuffer = [];  // array of previous xyz values
+  self.movingAverage = new filters.MovingAverage(13);  // low pass filter for orientation, see setSampleBufferLength
   self.orientationSuppression = 0.125; // a movement threshold which will prevent orientation events
   self.totalSamples = 0;  // running counter
-  self.currentTurbulence; // the total delta A of samples in sampleBuffer[]
-  self.averageAcceleration = [0, 0, 0]; // averate acceleration in the sample buffer
-
-  for(var i = 0; i < self.bufferLength; i++) {
-      self.sampleBuffer[i] = [0,0,0];
-  }
+  self.currentTurbulence; // the total delta A of samples in the moving average
+  self.averageAcceleration = [0, 0, 0]; // averate acceleration in the moving average
+
+  // Smallest change in degrees of pitch or roll that emits a 'tilt' event, and the extra
+  // change needed when the direction reverses. See setTiltThreshold.
+  self.tiltThreshold = 1;
+  self.tiltHysteresis = 0.5;
+  // Attitude set by zero, which tilt angles are measured from
+  self._tiltReference = null;
+  // Last reported tilt, and the direction each angle last moved in
+  self._lastTilt = null;
+  self._tiltDirection = { pitch: 0, roll: 0 };
+
+  // Step counter behind 'step' events, see setPedometer
+  self.pedometer = new Pedometer();
+
+  // Gesture templates and matching behind 'gesture' events, see recordGesture
+  self.gestures = new GestureRecognizer();
+
+  // Spectrum analysis behind 'vibration' events, see setVibration
+  self.vibration = new VibrationAnalyzer();
+
+  // Filters samples go through for 'filtered' events, see use
+  self.filters = [];
+  // Whether each detector reads 'raw' or 'filtered' samples, see setDetectorSource
+  self.detectorSources = {};
+  DETECTORS.forEach(function(detector) {
+    self.detectorSources[detector] = 'raw';
+  });
 
   self.orientation = {
       XUP : 0,
@@ -74,68 +279,134 @@ function Accelerometer (hardware, callback) {
 
   self.currentOrientation = -1; // start with invalid orientation
 
+  // Whether the freefall/motion engine is looking for 'freefall' or 'motion'
+  self._freefallMotionMode = null;
+  // Threshold of the transient engine in g while it is driving shake events, otherwise null
+  self._transientShake = null;
+  // High pass filter cutoff in Hz, for the current output rate
+  self.highPassCutoff = 2;
+  // Oversampling mode, see setPowerMode
+  self.powerMode = 'normal';
+  // Whether the CTRL_REG1 LNOISE bit is set, see setLowNoise
+  self.lowNoise = false;
+  // Whether the chip has put itself to sleep, and the rate it runs at then. See configureAutoSleep.
+  self.sleeping = false;
+  self.sleepRate = null;
+  // Output rate to return to on waking
+  self._wakeRate = self.outputRate;
+
+  if (I2C_ADDRESSES.indexOf(self.address) === -1) {
+    // Once the caller has had a chance to listen for errors or call ready
+    setImmediate(initFailed, new Error("Invalid I2C address " + self.address + ". The MMA845xQ answers at 0x1D or 0x1C."));
+    return;
+  }
+
+  if (options.watchdog) {
+    self.setWatchdog(options.watchdog);
+  }
+
+  // Interrupt sources, their routing and the handler for each
+  self.interrupts = new InterruptManager(self, { int1: int1, int2: self.dataInterrupt });
+  self.interrupts.register('dataReady', self._dataReady.bind(self));
+  self.interrupts.register('freefallMotion', self._freefallMotion.bind(self));
+  self.interrupts.register('portraitLandscape', self._portraitLandscape.bind(self));
+  self.interrupts.register('pulse', self._pulse.bind(self));
+  self.interrupts.register('transient', self._transient.bind(self));
+  self.interrupts.register('autoSleep', self._autoSleep.bind(self));
+
+  function initFailed(err) {
+    self._initError = err;
+    var waiting = self._readyCallbacks;
+    self._readyCallbacks = [];
+    waiting.forEach(function(ready) {
+      ready(err);
+    });
+    // Errors handed to ready() are only emitted if something listens for them
+    if (waiting.length && !self.listeners('error').length) {
+      if (callback) callback(err);
+    }
+    else {
+      self._failProcedure(err, callback);
+    }
+  }
+
+  function initialized() {
+    self._initialized = true;
+    var waiting = self._readyCallbacks;
+    self._readyCallbacks = [];
+    waiting.forEach(function(ready) {
+      ready(null, self);
+    });
+    // Emit the ready event
+    // (the last setting moves the queue on by itself)
+    setImmediate(function emitReady() {
+      self.emit('ready');
+    });
+    // Call the callback with object
+    if (callback) callback(null, self);
+  }
+
   // Check that we can read the correct chip id
   self.queue.place(function one() {
     self._getChipID(function IDRead(err, c) {
       if (err) {
-        err = new Error("Could not connect to MMA8452Q. No response on I2C lines. Error: "+err);
-        return self._failProcedure(err);
+        err = new Error("Could not connect to MMA845xQ. No response on I2C lines. Error: "+err);
+        return initFailed(err);
       }
-      // should always return 0x2A
-      if (c !== 0x2A) {
+      // 0x1A, 0x2A or 0x3A depending on the part
+      if (!CHIPS[c]) {
         // This is the wrong chip
-        err = new Error("Could not connect to MMA8452Q, received " + c.toString() + ". Expected 0x2A.");
+        err = new Error("Could not connect to MMA845xQ, received " + c.toString() + ". Expected 0x1A, 0x2A or 0x3A.");
         // Fail the init
-        return self._failProcedure(err);
+        return initFailed(err);
       }
-
-      // Set the scale range to standard
-      self.setScaleRange(self.scaleRange, function(err) {
+      self.chip = CHIPS[c];
+      self.resolution = self.chip.resolution;
+
+      // Apply the standard scale range and output rate, and any settings in options
+      var config = { scaleRange: self.scaleRange, outputRate: self.outputRate };
+      CONFIG_SETTINGS.forEach(function(setting) {
+        if (options[setting] !== undefined) {
+          config[setting] = options[setting];
+        }
+      });
+      self.configure(config, function(err) {
         if (err) {
-          return self._failProcedure(err, callback);
+          return initFailed(err);
         }
-        else {
-          // Set the output rate to standard
-          self.setOutputRate(self.outputRate, function(err) {
+        else if (options.calibration) {
+          // Apply a saved calibration profile
+          self.setCalibration(options.calibration, function(err) {
             if (err) {
-              return self._failProcedure(err, callback);
-            }
-            else {
-              // Emit the ready event
-              setImmediate(function emitReady() {
-                self.emit('ready');
-                self.queue.next();
-              });
-              // Call the callback with object
-              if (callback) callback(null, self);
-
-              return;
+              return initFailed(err);
             }
+            initialized();
           });
         }
+        else {
+          initialized();
+        }
       });
 
-      // Set up an interrupt handler for data ready
-      self.dataInterrupt.once('low', self._dataReady.bind(self));
+      // Listen for data ready and the detection engines
+      self.interrupts.arm();
     });
   });
 
-  var dataEvents = ['data', 'sample', 'orientation', 'shake'];
-
   self.on('newListener', function(event) {
     // If we have a new sample listener
-    if (dataEvents.indexOf(event) !== -1) {
+    if (self._needsData(event)) {
 //      if (event == 'data' || event == 'sample') {
       // Enable interrupts at whatever rate was previously set
-      self.enableDataInterrupts(true, self.queue.next);
+      self.enableDataInterrupts(true, ignoreResult);
     }
   });
 
   self.on('removeListener', function(event) {
     // If we have a new || event == 'sample' listener
-    if (dataEvents.indexOf(event) !== -1) {
-      // Disable interrupt.
-      self.enableDataInterrupts(false, self.queue.next);
+    if (self._needsData(event)) {
+      // Disable interrupt, unless other listeners still need samples
+      self._updateDataInterrupts();
     }
   });
 
@@ -144,19 +415,21 @@ function Accelerometer (hardware, callback) {
 
 util.inherits(Accelerometer, EventEmitter);
 
+// Runs change in standby, then goes back to active. Errors are passed to callback
+// without being emitted, for the command to report them once.
 Accelerometer.prototype._changeRegister = function(change, callback) {
   var self = this;
 
   // Put the accelerometer into standby
   self._modeStandby(function inStandby(err) {
     if (err) {
-      return self._failProcedure(err, callback);
+      return callback(err);
     }
     else {
       // Make whatever change was requested
       change( function setActive(err) {
         if (err) {
-          return self._failProcedure(err, callback);
+          return callback(err);
         }
         else {
           // Put the accelerometer back into active mode
@@ -172,6 +445,11 @@ Accelerometer.prototype._changeRegister = function(change, callback) {
 Accelerometer.prototype._detectShake = function(xyz) {
     var self = this;
 
+    // The transient engine is detecting shakes instead
+    if (self._transientShake !== null) {
+        return;
+    }
+
     // calculate magnitude squared of sample
     var mag2 = xyz[0]*xyz[0] + xyz[1]*xyz[1] + xyz[2]*xyz[2];
 
@@ -181,47 +459,18 @@ Accelerometer.prototype._detectShake = function(xyz) {
     }
 };
 
-// Detects device orientation.  Keeps a buffer of 'bufferLength' previous samples to reduce noise
+// Detects device orientation.  Averages the previous samples with a moving average to reduce noise
 Accelerometer.prototype._detectOrientation = function(xyz) {
     var self = this;
 
     // counter
     self.totalSamples++;
 
-    // load sample into buffer
-    self.sampleBuffer[self.bufferIndex] = xyz;
-
-    // increment and wrap index
-    self.bufferIndex = (self.bufferIndex+1) % self.bufferLength;
-
-    self.averageAcceleration = [0, 0, 0];
-
-    // sum all previous values which are in buffer
-    for(i = 0; i < self.bufferLength; i++) {
-        self.averageAcceleration[0] += self.sampleBuffer[i][0];
-        self.averageAcceleration[1] += self.sampleBuffer[i][1];
-        self.averageAcceleration[2] += self.sampleBuffer[i][2];
-    }
-
-    // divide by count for average
-    self.averageAcceleration[0] /= self.bufferLength;
-    self.averageAcceleration[1] /= self.bufferLength;
-    self.averageAcceleration[2] /= self.bufferLength;
-
-
-    self.currentTurbulence = 0;
-
-    // calculate "turbulence" of samples in buffer, aka the sum of delta A of all samples in all axis
-    // start loop from 1
-    for(i = 1; i < self.bufferLength; i++) {
-        self.currentTurbulence += Math.abs(self.sampleBuffer[i][0]-self.sampleBuffer[i-1][0]);
-        self.currentTurbulence += Math.abs(self.sampleBuffer[i][1]-self.sampleBuffer[i-1][1]);
-        self.currentTurbulence += Math.abs(self.sampleBuffer[i][2]-self.sampleBuffer[i-1][2]);
-    }
-
-    // normalize turbulence by dividing by (number of delta samples * number of axis)
-    self.currentTurbulence = self.currentTurbulence / ((self.bufferLength-1) * 3);
+    // average the samples to reduce noise
+    self.averageAcceleration = self.movingAverage.process(xyz);
 
+    // calculate "turbulence" of samples in buffer, aka the average delta A of all samples in all axis
+    self.currentTurbulence = self.movingAverage.turbulence();
 
     var maxDimension = Math.max(Math.abs(self.averageAcceleration[0]), Math.abs(self.averageAcceleration[1]), Math.abs(self.averageAcceleration[2]));
 
@@ -256,241 +505,1708 @@ Accelerometer.prototype._detectOrientation = function(xyz) {
 
     // due to the way the handlers are registered, the first orientation event is never sent
     // This it makes it nice for the users application to get an orientation event right away at boot
-    if( self.totalSamples == self.bufferLength ) {
+    if( self.totalSamples == self.movingAverage.length ) {
         self.emit('orientation', self.currentOrientation, self.orientationName[newOrientation]);
     }
 };
 
-Accelerometer.prototype._dataReady = function() {
-  var self = this;
-  // Data is ready so grab the data
-  self.getAcceleration(function(err, xyz) {
-    // If we had an error, emit it
-    if (err) {
-      // Emitting error
-      self.emit('error', err);
+// Emits a 'tilt' event when pitch or roll have changed by the tilt threshold since the
+// last one. Going back the other way takes the threshold plus the hysteresis, so noise
+// around an angle doesn't produce a stream of events.
+Accelerometer.prototype._detectTilt = function() {
+    var self = this;
+
+    var tilt = self.getTilt();
+
+    if (!self._lastTilt) {
+        self._lastTilt = tilt;
+        return;
     }
-    // If there was no error
-    else {
-      // Emit the data
-      self.emit('data', xyz); // old-style, deprecated
-      self.emit('sample', xyz);
-      self._detectShake(xyz);
-      self._detectOrientation(xyz);
+
+    var changed = ['pitch', 'roll'].filter(function(angle) {
+        var change = tilt[angle] - self._lastTilt[angle];
+        var direction = change > 0 ? 1 : -1;
+        var needed = self.tiltThreshold;
+        if (self._tiltDirection[angle] && direction != self._tiltDirection[angle]) {
+            needed += self.tiltHysteresis;
+        }
+        if (Math.abs(change) >= needed) {
+            self._tiltDirection[angle] = direction;
+            return true;
+        }
+        return false;
+    });
+
+    if (changed.length) {
+        self._lastTilt = tilt;
+        self.emit('tilt', tilt);
     }
+};
 
-     self.dataInterrupt.once('low', self._dataReady.bind(self));
-  });
+// Counts steps, see lib/pedometer.js
+Accelerometer.prototype._detectStep = function(xyz, info) {
+    var self = this;
+
+    // Only count steps while someone listens for them
+    if (!self.listeners('step').length) {
+        return;
+    }
+
+    var step = self.pedometer.process(xyz, info.timestamp);
+    if (step) {
+        self.emit('step', step);
+    }
 };
 
-Accelerometer.prototype._failProcedure = function(err, callback) {
-  var self = this;
+// Records and matches gestures, see lib/gestures.js
+Accelerometer.prototype._detectGesture = function(xyz, info) {
+    var self = this;
 
-  // Emit the error
-  setImmediate(function emitErr() {
-    self.emit('error', err);
-  });
-  // Call the callback
-  if (callback) callback(err);
+    if (!self.gestures.recording && !self.listeners('gesture').length) {
+        return;
+    }
 
-  return;
+    var gesture = self.gestures.process(xyz, info.timestamp);
+    if (gesture) {
+        self.emit('gesture', gesture);
+    }
 };
 
-// Get the id of the chip
-Accelerometer.prototype._getChipID = function(callback) {
-  this._readRegister(WHO_AM_I, function (err, c) {
-    if (callback) callback(err, c);
-  });
+// Reports on vibration and alerts on bands over their thresholds, see lib/vibration.js.
+// rate is the output rate the sample was taken at.
+Accelerometer.prototype._detectVibration = function(xyz, info, rate) {
+    var self = this;
+
+    if (!self.listeners('vibration').length && !self.listeners('vibrationAlert').length) {
+        return;
+    }
+
+    var result = self.vibration.process(xyz, info.timestamp, rate);
+    if (result) {
+        self.emit('vibration', result.report);
+        result.alerts.forEach(function(alert) {
+            self.emit('vibrationAlert', alert);
+        });
+    }
 };
 
-Accelerometer.prototype._getClosestOutputRate = function(requestedRate, callback) {
+// Reads the sample announced by a data interrupt and emits it
+Accelerometer.prototype._dataReady = function(callback) {
+  var self = this;
+  // Data is ready so grab the data, and STATUS to see whether samples were overwritten
+  self.queue.place(function readSample() {
+    self._readSample(function(err, xyz, status) {
+      if (err) {
+        self._busError(err);
+      }
+      else {
+        var now = Date.now();
+        self._lastData = now;
+
+        // ZYXOW: a sample came in before the last one was read. Estimate how many
+        // from the time since the last read.
+        if ((status & 0x80) && self._lastSampleTime !== null) {
+          var periods = Math.round((now - self._lastSampleTime) * self.outputRate / 1000);
+          var lost = Math.max(periods - 1, 1);
+          self._sequence += lost;
+          self.emit('overrun', lost);
+        }
+        self._lastSampleTime = now;
 
-  // If a negative number is requested, stop output (0 hz)
-  if (requestedRate < 0) requestedRate = 0;
+        // Live samples would get mixed up with a recording being replayed
+        if (!self._replaying) {
+          self._handleSample(xyz, { timestamp: now, sequence: self._sequence++ });
+        }
+      }
 
-  // If 0 hz is requested, return just that so that output will be stopped
-  if (requestedRate === 0) {
+      callback();
+      setImmediate(self.queue.next);
+    });
+  });
+};
 
-    if (callback) callback(null, 0);
+// Emits a sample and runs it through the filters and detectors. rate is the output rate
+// the sample was taken at, by default the current one.
+Accelerometer.prototype._handleSample = function(xyz, info, rate) {
+  var self = this;
 
-    return;
+  rate = rate || self.outputRate;
+
+  if (self._batch) {
+    self._addToBatch(xyz, info);
   }
 
-  // Get the available rates
-  var available = this.availableOutputRates();
-  // Iterate through each
-  for (var i = 0; i < available.length; i++) {
-    // The first available rate less than or equal to requested is a match
-    if (available[i] <= requestedRate) {
-      // Send the match back
-      if (callback) callback(null, available[i]);
-      return;
+  if (self._sampleEvents) {
+    var filtered = self._filter(xyz);
+
+    // Emit the data
+    self.emit('data', xyz); // old-style, deprecated
+    self.emit('sample', xyz, info);
+    if (self.filters.length) {
+      self.emit('filtered', filtered, info);
     }
+
+    var samples = { raw: xyz, filtered: filtered };
+    self._detectShake(samples[self.detectorSources.shake]);
+    self._detectOrientation(samples[self.detectorSources.orientation]);
+    // Tilt is measured from the acceleration averaged for orientation
+    self._detectTilt();
+    self._detectStep(samples[self.detectorSources.step], info);
+    self._detectGesture(samples[self.detectorSources.gesture], info);
+    self._detectVibration(samples[self.detectorSources.vibration], info, rate);
   }
+};
 
-  // If there were no match, this number must be between 0 and 1.56. Use 1.56
-  if (callback) callback(null, available[available.length-1]);
+// Runs a sample through each filter in turn
+Accelerometer.prototype._filter = function(xyz) {
+  return this.filters.reduce(function(sample, filter) {
+    return filter.process(sample);
+  }, xyz);
 };
 
-// Sets the MMA8452 to active mode. Needs to be in this mode to output data
-Accelerometer.prototype._modeActive = function (callback) {
+// Collects a sample into the current batch, and emits the batch once it is full
+// or its time window has passed
+Accelerometer.prototype._addToBatch = function(xyz, info) {
+  var batch = this._batch;
+
+  if (!batch.timestamps.length) {
+    batch.sequence = info.sequence;
+  }
+  batch.x.push(xyz[0]);
+  batch.y.push(xyz[1]);
+  batch.z.push(xyz[2]);
+  batch.timestamps.push(info.timestamp);
+
+  var full = batch.size && batch.timestamps.length >= batch.size;
+  var windowPassed = batch.interval && info.timestamp - batch.timestamps[0] >= batch.interval;
+  if (full || windowPassed) {
+    this.emit('batch', {
+      x: new Float32Array(batch.x),
+      y: new Float32Array(batch.y),
+      z: new Float32Array(batch.z),
+      timestamps: new Float64Array(batch.timestamps),
+      sequence: batch.sequence,
+      length: batch.timestamps.length
+    });
+    batch.x = [];
+    batch.y = [];
+    batch.z = [];
+    batch.timestamps = [];
+  }
+};
+
+// Reads SYSMOD after an auto-sleep interrupt and emits a sleep or wake event
+Accelerometer.prototype._autoSleep = function(callback) {
   var self = this;
-  // Set the active bit to begin detection
-  self._readRegister(CTRL_REG1, function (err, c) {
+
+  // Reading the system mode also clears the interrupt
+  self._readRegister(SYSMOD, function(err, sysmod) {
     if (err) {
-      return _failProcedure(err);
+      self._busError(err);
     }
     else {
-      return self._writeRegister(CTRL_REG1, c | (0x01), callback);
+      // SYSMOD[1:0] is 1 when awake and 2 when asleep
+      self._setSleeping((sysmod & 0x03) == 2);
     }
+    callback();
   });
 };
 
-// Sets the MMA8452 to standby mode. It must be in standby to change most register settings
-Accelerometer.prototype._modeStandby = function (callback) {
+// Tracks the chip falling asleep or waking up, emitting 'sleep' or 'wake' unless quiet
+Accelerometer.prototype._setSleeping = function(sleeping, quiet) {
   var self = this;
-  // Clear the active bit to go into standby
-  self._readRegister(CTRL_REG1, function (err, c) {
+
+  if (sleeping == self.sleeping) {
+    return;
+  }
+
+  self.sleeping = sleeping;
+  if (sleeping) {
+    self._wakeRate = self.outputRate;
+    self.outputRate = self.sleepRate;
+  }
+  else {
+    self.outputRate = self._wakeRate;
+  }
+  if (!quiet) {
+    self.emit(sleeping ? 'sleep' : 'wake');
+  }
+};
+
+// Decodes FF_MT_SRC into the axes involved and emits a freefall or motion event
+Accelerometer.prototype._freefallMotion = function(callback) {
+  var self = this;
+
+  // Reading the source register also clears the interrupt
+  self._readRegister(FF_MT_SRC, function(err, src) {
     if (err) {
-      return self._failProcedure(err, callback);
+      self._busError(err);
     }
-    else {
-      return self._writeRegister(CTRL_REG1, c & ~(0x01), callback);
+    else if (src & 0x80) {
+      self.emit(self._freefallMotionMode, sourceEvent(src));
     }
+    callback();
   });
 };
 
-Accelerometer.prototype._readRegister = function (addressToRead, callback) {
-  this._readRegisters(addressToRead, 1, function (err, regs) {
-    callback(err, regs && regs[0]);
+// Decodes PL_STATUS and emits a portraitLandscape event
+Accelerometer.prototype._portraitLandscape = function(callback) {
+  var self = this;
+
+  // Reading the status register also clears the interrupt
+  self._readRegister(PL_STATUS, function(err, status) {
+    if (err) {
+      self._busError(err);
+    }
+    // NEWLP is set when anything changed
+    else if (status & 0x80) {
+      self.emit('portraitLandscape', {
+        orientation: PL_ORIENTATIONS[(status >> 1) & 0x03],
+        face: (status & 0x01) ? 'back' : 'front',
+        // Too flat to tell, the orientation is the last one before it was laid down
+        lockout: (status & 0x40) !== 0
+      });
+    }
+    callback();
   });
 };
 
-Accelerometer.prototype._readRegisters = function (addressToRead, bytesToRead, callback) {
-  this.i2c.transfer(new Buffer([addressToRead]), bytesToRead, callback);
-};
+// Decodes PULSE_SRC into the axes involved and emits a tap or doubleTap event
+Accelerometer.prototype._pulse = function(callback) {
+  var self = this;
 
-// Write a single byte to the register.
-Accelerometer.prototype._writeRegister = function (addressToWrite, dataToWrite, callback) {
-  this.i2c.send(new Buffer([addressToWrite, dataToWrite]), callback);
+  // Reading the source register also clears the interrupt
+  self._readRegister(PULSE_SRC, function(err, src) {
+    if (err) {
+      self._busError(err);
+    }
+    else if (src & 0x80) {
+      var event = { axes: [], polarity: {} };
+      ['x', 'y', 'z'].forEach(function(axis, i) {
+        // AxX, AxY and AxZ flag the axes, PolX, PolY and PolZ their direction
+        if (src & (0x10 << i)) {
+          event.axes.push(axis);
+          event.polarity[axis] = (src & (0x01 << i)) ? -1 : 1;
+        }
+      });
+      // DPE is set for a double pulse
+      self.emit((src & 0x08) ? 'doubleTap' : 'tap', event);
+    }
+    callback();
+  });
 };
 
-// Sets the accelerometer to read up to 2, 4, or 8 Gs of acceleration (smaller range = better precision)
-Accelerometer.prototype._unsafeSetScaleRange = function(scaleRange, callback) {
+// Decodes TRANSIENT_SRC into the axes involved and emits a transient event
+Accelerometer.prototype._transient = function(callback) {
   var self = this;
 
-  var fsr = scaleRange;
-  if (fsr > 8) fsr = 8; //Easy error check
-  fsr >>= 2; // Neat trick, see page 22. 00 = 2G, 01 = 4G, 10 = 8G
-
-  // Go into standby to edit registers
-  self._changeRegister(function change(changeComplete) {
-
-    // Write the new scale into the register
-    self._writeRegister(XYZ_DATA_CFG, fsr, function wroteReg(err) {
-      self.scaleRange = scaleRange;
-      return changeComplete(err);
-    });
-
-  }, function scaleSet(err) {
-    if (callback) {
-      callback(err);
+  // Reading the source register also clears the interrupt
+  self._readRegister(TRANSIENT_SRC, function(err, src) {
+    if (err) {
+      self._busError(err);
     }
-    setImmediate(self.queue.next);
+    else if (src & 0x40) {
+      var event = sourceEvent(src);
+      self.emit('transient', event);
+      // The chip doesn't report the peak, so the magnitude is the threshold that was crossed
+      if (self._transientShake !== null) {
+        self.emit('shake', self._transientShake, event);
+      }
+    }
+    callback();
   });
 };
 
-// Sets the output rate of the data (1.56-800 Hz)
-Accelerometer.prototype._unsafeSetOutputRate = function (hz, callback) {
+Accelerometer.prototype._failProcedure = function(err, callback) {
   var self = this;
 
-  // Put accel into standby
-  self._changeRegister( function setRegisters(finishChange) {
-    // Find the closest available rate (rounded down)
-    self._getClosestOutputRate(hz, function gotRequested(err, closest) {
-      if (err) {
-        return finishChange(new Error("Rate must be >= 1.56Hz"));
-      }
-      else {
-        // Set our property
-        self.outputRate = closest;
-
-        // Get the binary representation of the rate (for the register)
-        var bin = self.availableOutputRates().indexOf(closest);
-        // If the binary rep could be found
-        if (bin !== -1) {
-          // Read the current register value
-          self._readRegister(CTRL_REG1, function readComplete(err, regVal) {
-            if (err) {
-              return finishChange(err);
-            }
-            else {
-               // Clear the three bits of output rate control (0b11000111 = 199)
-              regVal &= 199;
-              // Move the binary rep into place (bits 3:5)
-              if (bin !== 0) regVal |= (bin << 3);
-              // Write that value into the control register
-              self._writeRegister(CTRL_REG1, regVal, finishChange);
-            }
-          });
-        }
-        else {
-          return finishChange(new Error("Invalid output rate."));
-        }
-      }
-    });
-  },
-  function rateSet(err) {
-    if (callback) {
-      callback(err);
+  // Emit the error, unless a Promise has rejected with it instead, see promising
+  setImmediate(function emitErr() {
+    if (!err._rejected) {
+      self.emit('error', err);
     }
-    setImmediate(self.queue.next);
   });
+  // Call the callback
+  if (callback) callback(err);
+
+  return;
 };
 
+// Reports an I2C failure outside of any command, e.g. while handling an interrupt. With
+// the watchdog on the chip is taken to be disconnected until it can be set up again.
+Accelerometer.prototype._busError = function(err) {
+  var self = this;
 
-// Logs the available interrupt rates in Hz
-Accelerometer.prototype.availableOutputRates = function() {
-  return [800, 400, 200, 100, 50, 12.5, 6.25, 1.56];
+  if (!self._watchdog) {
+    return self.emit('error', err);
+  }
+  self._disconnected(err);
 };
 
-// Logs the available accelerometer ranges (in units of Gs)
-Accelerometer.prototype.availableScaleRanges = function() {
-  // The higher the range, the less accurate the readings are
-  return [2, 4, 8];
+// Marks the chip as disconnected, emitting 'disconnect' the first time
+Accelerometer.prototype._disconnected = function(err) {
+  var self = this;
+
+  if (!self.connected) {
+    return;
+  }
+  self.connected = false;
+  self.emit('disconnect', err);
 };
 
-// Enables or disables data interrupts. Set the first param truthy to enable, false to disable.
-Accelerometer.prototype.enableDataInterrupts = function(enable, callback) {
+// Checks that samples are still coming in, and tries to set the chip up again when they
+// have stopped or it is disconnected. Samples have stopped once none has come for the
+// watchdog timeout, or three sample periods if that's longer.
+Accelerometer.prototype._checkWatchdog = function() {
   var self = this;
 
-  self.queue.place(function queueEnable() {
-    // Don't call unnecessarily.
-    if (self._dataInterrupts == !!enable) {
-      setImmediate(self.queue.next);
-      return callback && callback();
+  if (!self._initialized || self._recovering) {
+    return;
+  }
+  if (self.connected) {
+    var stall = Math.max(self._watchdog.timeout, 3000 / self.outputRate);
+    if (!self._dataInterrupts || Date.now() - self._lastData < stall) {
+      return;
     }
-    self._dataInterrupts = !!enable;
+    self._disconnected(new Error("No samples for " + (Date.now() - self._lastData) + " ms"));
+  }
 
-    // We're going to change register 4
-    self._changeRegister(function change(complete) {
-      // Read the register first
-      self._readRegister(CTRL_REG4, function(err, reg4) {
-        if (err) {
-          return complete(err);
-        }
-        else {
-          // If we are enabling, set first bit to 1, else 0
-          var regVal = (enable ? (reg4 |= 1) : (reg4 &= ~1));
-          // Write to the register
-          self._writeRegister(CTRL_REG4, regVal, function(err) {
-            return complete(err);
+  self._recovering = true;
+  self.queue.place(self._unsafeRecover.bind(self, function recovered(err) {
+    self._recovering = false;
+    if (!err) {
+      self.connected = true;
+      self.emit('reconnect');
+    }
+  }));
+};
+
+// Sets the chip up again after it was disconnected or reset: checks it answers, then
+// writes back every setting the driver has made and listens for interrupts afresh
+Accelerometer.prototype._unsafeRecover = function(callback) {
+  var self = this;
+
+  function finish(err) {
+    callback(err);
+    setImmediate(self.queue.next);
+  }
+
+  self._getChipID(function(err, c) {
+    if (err) {
+      return finish(err);
+    }
+    if (!CHIPS[c]) {
+      return finish(new Error("Expected a MMA845xQ, received " + c));
+    }
+
+    var addresses = Object.keys(self._shadow).map(Number).sort(function(a, b) {
+      return a - b;
+    });
+    var writes = addresses.filter(function(address) {
+      return address != CTRL_REG1;
+    }).map(function(address) {
+      return [address, self._shadow[address]];
+    });
+    // CTRL_REG1 goes last, in standby, so the rest can be written
+    if (self._shadow[CTRL_REG1] !== undefined) {
+      writes.push([CTRL_REG1, self._shadow[CTRL_REG1] & ~0x01]);
+    }
+
+    self._changeRegister(function change(complete) {
+      self._writeRegisterList(writes, complete);
+    }, function restored(err) {
+      if (!err) {
+        // Samples from before don't count towards a stall or overruns
+        self._lastData = Date.now();
+        self._lastSampleTime = null;
+        self.interrupts.disarm();
+        self.interrupts.arm();
+      }
+      finish(err);
+    });
+  });
+};
+
+// Stops using the chip: turns the watchdog off, leaves the chip in standby with every
+// interrupt off, and gives up the interrupt pins for other accelerometers sharing them
+Accelerometer.prototype._unsafeClose = function(callback) {
+  var self = this;
+
+  self.setWatchdog(false);
+  self.interrupts.release();
+
+  self._modeStandby(function inStandby(err) {
+    if (err) {
+      self._failProcedure(err, callback);
+      return setImmediate(self.queue.next);
+    }
+    self.interrupts.disableAll(function disabled(err) {
+      if (err) {
+        self._failProcedure(err, callback);
+      }
+      else if (callback) {
+        callback(null);
+      }
+      setImmediate(self.queue.next);
+    });
+  });
+};
+
+// Whether listeners of an event need data interrupts
+Accelerometer.prototype._needsData = function(event) {
+  // Shake events don't need samples when the transient engine drives them
+  if (event == 'shake' && this._transientShake !== null) {
+    return false;
+  }
+  return DATA_EVENTS.indexOf(event) !== -1;
+};
+
+// Fails with an error if the connected part lacks a feature. Returns true if it failed.
+Accelerometer.prototype._unsupported = function(feature, callback) {
+  if (this.supports(feature)) {
+    return false;
+  }
+  var chip = this.chip || CHIPS[0x2A];
+  this._failProcedure(new Error(chip.name + " does not support " + feature + "."), callback);
+  return true;
+};
+
+// Output rate while awake, which detection settings are worked out for
+Accelerometer.prototype._awakeOutputRate = function() {
+  return this.sleeping ? this._wakeRate : this.outputRate;
+};
+
+// Rate in Hz the detection engines run at. Below the output rate set by the power mode
+// (e.g. 50 Hz in normal mode) the engines keep running at that rate.
+Accelerometer.prototype._engineRate = function() {
+  return Math.max(this._awakeOutputRate(), POWER_MODE_ENGINE_RATES[this.powerMode]);
+};
+
+// Time in ms that one count of a detection engine's debounce counter lasts at the current rate
+Accelerometer.prototype._debounceStep = function() {
+  return 1000 / this._engineRate();
+};
+
+// Debounce counter value for a time in ms, in steps of _debounceStep
+Accelerometer.prototype._debounceCount = function(ms) {
+  return Math.max(0, Math.min(255, Math.round((ms || 0) / this._debounceStep())));
+};
+
+// Freefall/motion, transient and pulse threshold register counts for a threshold in g,
+// 0.063 g per count up to 127 counts
+function thresholdCounts(g) {
+  return Math.max(0, Math.min(127, Math.round((g || 0) / THS_STEP)));
+}
+
+// Event { axes, polarity } from FF_MT_SRC or TRANSIENT_SRC, which have an event flag
+// for each axis with a polarity flag below it
+function sourceEvent(src) {
+  var event = { axes: [], polarity: {} };
+
+  ['x', 'y', 'z'].forEach(function(axis, i) {
+    if (src & (0x02 << (i * 2))) {
+      event.axes.push(axis);
+      event.polarity[axis] = (src & (0x01 << (i * 2))) ? -1 : 1;
+    }
+  });
+  return event;
+}
+
+// Time in ms that one count of PULSE_TMLT lasts at the current rate. PULSE_LTCY and
+// PULSE_WIND count in steps twice as long.
+Accelerometer.prototype._pulseStep = function() {
+  // With the pulse low pass filter off
+  return 500 / this._engineRate();
+};
+
+// Get the id of the chip
+Accelerometer.prototype._getChipID = function(callback) {
+  this._readRegister(WHO_AM_I, function (err, c) {
+    if (callback) callback(err, c);
+  });
+};
+
+Accelerometer.prototype._getClosestOutputRate = function(requestedRate, callback) {
+
+  // If a negative number is requested, stop output (0 hz)
+  if (requestedRate < 0) requestedRate = 0;
+
+  // If 0 hz is requested, return just that so that output will be stopped
+  if (requestedRate === 0) {
+
+    if (callback) callback(null, 0);
+
+    return;
+  }
+
+  // Get the available rates
+  var available = this.availableOutputRates();
+  // Iterate through each
+  for (var i = 0; i < available.length; i++) {
+    // The first available rate less than or equal to requested is a match
+    if (available[i] <= requestedRate) {
+      // Send the match back
+      if (callback) callback(null, available[i]);
+      return;
+    }
+  }
+
+  // If there were no match, this number must be between 0 and 1.56. Use 1.56
+  if (callback) callback(null, available[available.length-1]);
+};
+
+// Sets the MMA8452 to active mode. Needs to be in this mode to output data
+Accelerometer.prototype._modeActive = function (callback) {
+  var self = this;
+  // Set the active bit to begin detection
+  self._readRegister(CTRL_REG1, function (err, c) {
+    if (err) {
+      return callback(err);
+    }
+    else {
+      return self._writeRegister(CTRL_REG1, c | (0x01), callback);
+    }
+  });
+};
+
+// Sets the MMA8452 to standby mode. It must be in standby to change most register settings
+Accelerometer.prototype._modeStandby = function (callback) {
+  var self = this;
+  // Clear the active bit to go into standby
+  self._readRegister(CTRL_REG1, function (err, c) {
+    if (err) {
+      return callback(err);
+    }
+    else {
+      return self._writeRegister(CTRL_REG1, c & ~(0x01), function(err) {
+        // The chip comes back from standby awake. That isn't a wake up SYSMOD reports,
+        // so no 'wake' is emitted for it.
+        if (!err) {
+          self._setSleeping(false, true);
+        }
+        callback(err);
+      });
+    }
+  });
+};
+
+Accelerometer.prototype._readRegister = function (addressToRead, callback) {
+  this._readRegisters(addressToRead, 1, function (err, regs) {
+    callback(err, regs && regs[0]);
+  });
+};
+
+Accelerometer.prototype._readRegisters = function (addressToRead, bytesToRead, callback) {
+  var self = this;
+
+  self._retry(function read(done) {
+    self.i2c.transfer(new Buffer([addressToRead]), bytesToRead, done);
+  }, callback);
+};
+
+// Runs an I2C transfer, trying it again up to this.retries times if it fails. The first
+// retry waits this.retryDelay ms, and each one after that twice as long as the last.
+Accelerometer.prototype._retry = function (transfer, callback) {
+  var self = this;
+  var attempt = 0;
+
+  (function tryTransfer() {
+    transfer(function transferred(err, result) {
+      if (err && attempt < self.retries) {
+        return setTimeout(tryTransfer, self.retryDelay * Math.pow(2, attempt++));
+      }
+      callback(err, result);
+    });
+  })();
+};
+
+// Reads the output registers and converts them to g, as [x, y, z]
+Accelerometer.prototype._readAcceleration = function (callback) {
+  var self = this;
+
+  // In fast read mode only the MSB of each axis is read
+  var bytesPerAxis = self.fastRead ? 1 : 2;
+  self._readRegisters(OUT_X_MSB, 3 * bytesPerAxis, function (err, rawData) {
+    if (err) {
+      return callback(err);
+    }
+    // Commands that read samples themselves, like calibrate, hold up data interrupts.
+    // Their reads show the watchdog the chip is still working.
+    self._lastData = Date.now();
+    callback(null, self._decodeAcceleration(rawData, 0));
+  });
+};
+
+// Reads STATUS and the output registers in one transfer. Calls back with [x, y, z] in g and STATUS.
+Accelerometer.prototype._readSample = function (callback) {
+  var self = this;
+
+  var bytesPerAxis = self.fastRead ? 1 : 2;
+  self._readRegisters(STATUS, 1 + 3 * bytesPerAxis, function (err, rawData) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, self._decodeAcceleration(rawData, 1), rawData[0]);
+  });
+};
+
+// Converts output register values, starting at rawData[start], to g
+Accelerometer.prototype._decodeAcceleration = function (rawData, start) {
+  // In fast read mode there is only the MSB of each axis
+  var bytesPerAxis = this.fastRead ? 1 : 2;
+  // 14, 12 or 10 bits depending on the part, or 8 in fast read mode
+  var bits = this.resolution;
+  // Loop to calculate the ADC count and g value for each axis
+  var out = [];
+  for (var i = 0; i < 3 ; i++) {
+    var msb = rawData[start + i*bytesPerAxis];
+    var lsb = bytesPerAxis == 2 ? rawData[start + (i*2)+1] : 0;
+    var gCount = (msb << 8) | lsb;  // Combine the two 8 bit registers into one number
+
+    gCount = (gCount >> (16 - bits)); // The registers are left align, here we right align the integer
+
+    // If the number is negative, we have to make it so manually (no 12-bit data type)
+    if (msb > 0x7F) {
+      gCount = -((1 << bits) - gCount); // Transform into negative 2's complement
+    }
+
+    out[i] = gCount / ((1<<bits)/(2*this.scaleRange));
+  }
+  return out;
+};
+
+// Write a single byte to the register.
+Accelerometer.prototype._writeRegister = function (addressToWrite, dataToWrite, callback) {
+  var self = this;
+
+  self._retry(function write(done) {
+    self.i2c.send(new Buffer([addressToWrite, dataToWrite]), done);
+  }, function written(err) {
+    // Remember settings so they can be written back if the chip resets, see _unsafeRecover.
+    // The self test and reset bits aren't settings.
+    if (!err && addressToWrite >= XYZ_DATA_CFG) {
+      self._shadow[addressToWrite] = addressToWrite == CTRL_REG2 ? dataToWrite & ~0xC0 : dataToWrite;
+    }
+    if (callback) callback(err);
+  });
+};
+
+// Read-modify-write of the bits of a register set in mask. Calls back with the new value.
+Accelerometer.prototype._updateRegister = function (register, mask, value, callback) {
+  var self = this;
+
+  self._readRegister(register, function(err, regVal) {
+    if (err) {
+      return callback(err);
+    }
+    regVal = (regVal & ~mask) | (value & mask);
+    self._writeRegister(register, regVal, function(err) {
+      callback(err, regVal);
+    });
+  });
+};
+
+// Write a list of [register, value] pairs in order, stopping at the first error.
+Accelerometer.prototype._writeRegisterList = function (writes, callback) {
+  var self = this;
+
+  (function next(i) {
+    if (i == writes.length) {
+      return callback();
+    }
+    self._writeRegister(writes[i][0], writes[i][1], function(err) {
+      if (err) return callback(err);
+      next(i + 1);
+    });
+  })(0);
+};
+
+// Sets up the freefall/motion engine. There is only one, so configuring freefall replaces
+// motion detection and vice versa. Pass false as options to turn the engine off.
+Accelerometer.prototype._unsafeConfigureFreefallMotion = function(mode, options, callback) {
+  var self = this;
+
+  var enable = options !== false;
+  options = options || {};
+
+  // Enabled axes, in the order of FF_MT_CFG XEFE, YEFE, ZEFE
+  var axes = options.axes || ['x', 'y', 'z'];
+  var cfg = 0;
+  ['x', 'y', 'z'].forEach(function(axis, i) {
+    if (axes.indexOf(axis) !== -1) {
+      cfg |= (0x08 << i);
+    }
+  });
+  // Latch events until FF_MT_SRC is read
+  cfg |= 0x80;
+  // Motion is any enabled axis over the threshold, freefall is all of them under it
+  if (mode == 'motion') {
+    cfg |= 0x40;
+  }
+
+  // Threshold in g
+  var threshold = options.threshold !== undefined ? options.threshold : (mode == 'motion' ? 1.5 : 0.3);
+  var ths = thresholdCounts(threshold);
+
+  // Debounce in ms, counted in steps that depend on the output rate
+  var count = self._debounceCount(options.debounce);
+
+  self._changeRegister(function change(complete) {
+    if (!enable) {
+      return self.interrupts.enable('freefallMotion', false, complete);
+    }
+    self._writeRegisterList([
+      [FF_MT_CFG, cfg],
+      [FF_MT_THS, ths],
+      [FF_MT_COUNT, count]
+    ], function(err) {
+      if (err) return complete(err);
+      self.interrupts.enable('freefallMotion', true, complete);
+    });
+  }, function configured(err) {
+    if (!err) {
+      self._freefallMotionMode = enable ? mode : null;
+    }
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null);
+    }
+    setImmediate(self.queue.next);
+  });
+};
+
+// Sets up the pulse engine for single and double taps. Pass false as options to turn it off.
+Accelerometer.prototype._unsafeConfigureTap = function(options, callback) {
+  var self = this;
+
+  var enable = options !== false;
+  options = options || {};
+
+  var axes = options.axes || ['x', 'y', 'z'];
+  var singlePulse = options.single !== false;
+  var doublePulse = options.double !== false;
+
+  // Single and double pulse enables for each axis, latching events until PULSE_SRC is read
+  var cfg = 0x40;
+  ['x', 'y', 'z'].forEach(function(axis, i) {
+    if (axes.indexOf(axis) !== -1) {
+      if (singlePulse) cfg |= (0x01 << (i * 2));
+      if (doublePulse) cfg |= (0x02 << (i * 2));
+    }
+  });
+
+  // Threshold in g, either one for all axes or { x, y, z }
+  var threshold = options.threshold !== undefined ? options.threshold : 1.5;
+  var ths = ['x', 'y', 'z'].map(function(axis) {
+    var g = typeof threshold == 'number' ? threshold : threshold[axis];
+    return thresholdCounts(g);
+  });
+
+  // Times in ms, counted in steps that depend on the output rate
+  var step = self._pulseStep();
+  function counts(ms, stepLength) {
+    return Math.max(0, Math.min(255, Math.round(ms / stepLength)));
+  }
+  // How long a pulse may stay over the threshold
+  var tmlt = counts(options.timeLimit !== undefined ? options.timeLimit : 50, step);
+  // How long after a pulse before another one counts towards a double tap
+  var ltcy = counts(options.latency !== undefined ? options.latency : 100, step * 2);
+  // How long after the latency the second pulse of a double tap may start
+  var wind = counts(options.window !== undefined ? options.window : 300, step * 2);
+
+  self._changeRegister(function change(complete) {
+    if (!enable) {
+      return self.interrupts.enable('pulse', false, complete);
+    }
+    self._writeRegisterList([
+      [PULSE_CFG, cfg],
+      [PULSE_THSX, ths[0]],
+      [PULSE_THSY, ths[1]],
+      [PULSE_THSZ, ths[2]],
+      [PULSE_TMLT, tmlt],
+      [PULSE_LTCY, ltcy],
+      [PULSE_WIND, wind]
+    ], function(err) {
+      if (err) return complete(err);
+      self.interrupts.enable('pulse', true, complete);
+    });
+  }, function configured(err) {
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null);
+    }
+    setImmediate(self.queue.next);
+  });
+};
+
+// Changes a single setting through _unsafeConfigure, calling back with just the error
+Accelerometer.prototype._unsafeSet = function(setting, value, callback) {
+  var config = {};
+  config[setting] = value;
+
+  this._unsafeConfigure(config, function set(err) {
+    if (callback) {
+      callback(err);
+    }
+  });
+};
+
+// Sets the oversampling mode in CTRL_REG2 MODS
+Accelerometer.prototype._unsafeSetPowerMode = function(mode, callback) {
+  this._unsafeSet('powerMode', mode, callback);
+};
+
+// Turns the CTRL_REG1 LNOISE bit on or off
+Accelerometer.prototype._unsafeSetLowNoise = function(enable, callback) {
+  this._unsafeSet('lowNoise', !!enable, callback);
+};
+
+// Turns the CTRL_REG1 F_READ bit on or off. With it on, reads of the output registers skip
+// the LSBs so a sample is three bytes instead of six, at 8 bits of resolution.
+Accelerometer.prototype._unsafeSetFastRead = function(enable, callback) {
+  this._unsafeSet('fastRead', !!enable, callback);
+};
+
+// Checks settings for configure, returning the error with the first bad one, or null
+Accelerometer.prototype._checkConfig = function(config) {
+  var self = this;
+
+  for (var setting in config) {
+    if (CONFIG_SETTINGS.indexOf(setting) === -1) {
+      return new Error("Unknown setting " + setting + ". Use any of " + CONFIG_SETTINGS.join(', ') + ".");
+    }
+  }
+
+  var scaleRange = config.scaleRange !== undefined ? config.scaleRange : self.scaleRange;
+  var lowNoise = config.lowNoise !== undefined ? config.lowNoise : self.lowNoise;
+
+  if (self.availableScaleRanges().indexOf(scaleRange) === -1) {
+    return new Error("Invalid scale range " + scaleRange + ". Use one of " + self.availableScaleRanges().join(', ') + ".");
+  }
+  if (config.outputRate !== undefined && !(config.outputRate > 0)) {
+    return new Error("Output rate must be larger than zero");
+  }
+  if (config.powerMode !== undefined && POWER_MODES.indexOf(config.powerMode) === -1) {
+    return new Error("Invalid power mode " + config.powerMode + ". Use one of " + POWER_MODES.join(', ') + ".");
+  }
+  if (lowNoise && scaleRange > 4) {
+    return new Error("Low noise mode needs a scale range of 2g or 4g, not " + scaleRange + "g.");
+  }
+  if (config.shakeThreshold !== undefined && !(config.shakeThreshold > 0)) {
+    return new Error("Shake threshold must be larger than zero");
+  }
+  if (config.orientationSuppression !== undefined && !(config.orientationSuppression > 0.0001)) {
+    return new Error("Orientation suppression threshold must be larger than 0.0001");
+  }
+  if (config.sampleBufferLength !== undefined && !(config.sampleBufferLength >= 2)) {
+    return new Error("Sample buffer length must be 2 or larger");
+  }
+  if ((config.tiltThreshold !== undefined && !(config.tiltThreshold > 0)) || config.tiltHysteresis < 0) {
+    return new Error("Tilt threshold must be larger than zero, and hysteresis zero or larger");
+  }
+  return null;
+};
+
+// Applies the settings of config which only live in the driver
+Accelerometer.prototype._applySoftwareConfig = function(config) {
+  var self = this;
+
+  if (config.shakeThreshold !== undefined) {
+    self.shakeThreshold2 = Math.pow(config.shakeThreshold, 2); // save squared value
+  }
+  if (config.orientationSuppression !== undefined) {
+    self.orientationSuppression = config.orientationSuppression;
+  }
+  if (config.sampleBufferLength !== undefined) {
+    self.movingAverage.setLength(config.sampleBufferLength);
+  }
+  if (config.tiltThreshold !== undefined) {
+    self.tiltThreshold = config.tiltThreshold;
+  }
+  if (config.tiltHysteresis !== undefined) {
+    self.tiltHysteresis = config.tiltHysteresis;
+  }
+};
+
+// Changes settings which only live in the driver right away, for the setters which
+// don't call back. Invalid settings are emitted as errors.
+Accelerometer.prototype._configureSoftware = function(config) {
+  var err = this._checkConfig(config);
+  if (err) {
+    return this._failProcedure(err);
+  }
+  this._applySoftwareConfig(config);
+};
+
+// Changes any of the settings in CONFIG_SETTINGS at once. Every register change is
+// made in one standby window, and nothing changes if any setting is invalid.
+// Calls back with the settings now in effect, see getConfig.
+Accelerometer.prototype._unsafeConfigure = function(config, callback) {
+  var self = this;
+
+  config = config || {};
+
+  function finish(err) {
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null, self.getConfig());
+    }
+    setImmediate(self.queue.next);
+  }
+
+  var err = self._checkConfig(config);
+  if (err) {
+    return finish(err);
+  }
+
+  // Bits to change in each register, as { mask, value } by address
+  var updates = {};
+  function update(register, mask, value) {
+    var bits = updates[register] = updates[register] || { mask: 0, value: 0 };
+    bits.mask |= mask;
+    bits.value = (bits.value & ~mask) | (value & mask);
+  }
+
+  var outputRate;
+  if (config.scaleRange !== undefined) {
+    // 00 = 2G, 01 = 4G, 10 = 8G
+    update(XYZ_DATA_CFG, 0xFF, config.scaleRange >> 2);
+  }
+  if (config.outputRate !== undefined) {
+    self._getClosestOutputRate(config.outputRate, function(err, closest) {
+      outputRate = closest;
+    });
+    update(CTRL_REG1, 0x38, self.availableOutputRates().indexOf(outputRate) << 3);
+  }
+  if (config.lowNoise !== undefined) {
+    update(CTRL_REG1, 0x04, config.lowNoise ? 0x04 : 0);
+  }
+  if (config.fastRead !== undefined) {
+    update(CTRL_REG1, 0x02, config.fastRead ? 0x02 : 0);
+  }
+  if (config.powerMode !== undefined) {
+    update(CTRL_REG2, 0x03, POWER_MODES.indexOf(config.powerMode));
+  }
+
+  var registers = Object.keys(updates).map(Number);
+  if (!registers.length) {
+    self._applySoftwareConfig(config);
+    return finish();
+  }
+
+  self._changeRegister(function change(complete) {
+    (function next(i) {
+      if (i == registers.length) {
+        return complete();
+      }
+      var bits = updates[registers[i]];
+      self._updateRegister(registers[i], bits.mask, bits.value, function(err) {
+        if (err) return complete(err);
+        next(i + 1);
+      });
+    })(0);
+  }, function configured(err) {
+    if (!err) {
+      if (config.scaleRange !== undefined) {
+        self.scaleRange = config.scaleRange;
+      }
+      if (outputRate !== undefined) {
+        // While asleep it shows the sleep rate until the chip wakes
+        if (self.sleeping) {
+          self._wakeRate = outputRate;
+        }
+        else {
+          self.outputRate = outputRate;
+        }
+      }
+      if (config.lowNoise !== undefined) {
+        self.lowNoise = !!config.lowNoise;
+      }
+      if (config.fastRead !== undefined) {
+        self.fastRead = !!config.fastRead;
+        self.resolution = config.fastRead ? 8 : (self.chip ? self.chip.resolution : 12);
+      }
+      if (config.powerMode !== undefined) {
+        self.powerMode = config.powerMode;
+      }
+      self._applySoftwareConfig(config);
+    }
+    finish(err);
+  });
+};
+
+// Offset register counts for an offset in g
+function offsetCounts(offset) {
+  return Math.round((offset || 0) / OFFSET_STEP);
+}
+
+// Checks that a calibration profile fits the offset registers, returning the error with
+// the first axis out of range, or null
+Accelerometer.prototype._checkCalibration = function(profile) {
+  var axes = ['x', 'y', 'z'];
+
+  for (var i = 0; i < axes.length; i++) {
+    var counts = offsetCounts(profile[axes[i]]);
+    if (counts < -128 || counts > 127) {
+      return new Error("Offset " + profile[axes[i]] + "g on " + axes[i] + " is out of range. Offsets go from " + (-128 * OFFSET_STEP) + " to " + (127 * OFFSET_STEP) + "g.");
+    }
+  }
+  return null;
+};
+
+// Writes a calibration profile { x, y, z }, offsets in g, to OFF_X, OFF_Y and OFF_Z.
+// Must be called in standby, with a profile _checkCalibration has passed.
+Accelerometer.prototype._writeCalibration = function(profile, callback) {
+  this._writeRegisterList([
+    [OFF_X, offsetCounts(profile.x) & 0xFF],
+    [OFF_Y, offsetCounts(profile.y) & 0xFF],
+    [OFF_Z, offsetCounts(profile.z) & 0xFF]
+  ], callback);
+};
+
+// Writes a calibration profile, see Accelerometer#getCalibration
+Accelerometer.prototype._unsafeSetCalibration = function(profile, callback) {
+  var self = this;
+
+  // Refuse a bad profile before going into standby, so the chip stays active
+  var err = self._checkCalibration(profile);
+  if (err) {
+    self._failProcedure(err, callback);
+    return setImmediate(self.queue.next);
+  }
+
+  self._changeRegister(function change(complete) {
+    self._writeCalibration(profile, complete);
+  }, function calibrationSet(err) {
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null);
+    }
+    setImmediate(self.queue.next);
+  });
+};
+
+// Averages readings while the board holds still, then sets the offsets so that the
+// average reads as options.reference (default [0, 0, 1], lying flat)
+Accelerometer.prototype._unsafeCalibrate = function(options, callback) {
+  var self = this;
+
+  options = options || {};
+  var samples = options.samples || 16;
+  var reference = options.reference || [0, 0, 1];
+
+  function finish(err, profile) {
+    if (callback) {
+      callback(err, profile);
+    }
+    setImmediate(self.queue.next);
+  }
+
+  // Clear the old offsets so they don't skew the average
+  self._changeRegister(function change(complete) {
+    self._writeCalibration({ x: 0, y: 0, z: 0 }, complete);
+  }, function cleared(err) {
+    if (err) {
+      return self._failProcedure(err, finish);
+    }
+
+    var sum = [0, 0, 0];
+    var count = 0;
+
+    (function collect() {
+      // Wait for a new sample each time
+      setTimeout(function readSample() {
+        self._readAcceleration(function(err, xyz) {
+          if (err) {
+            return self._failProcedure(err, finish);
+          }
+          for (var i = 0; i < 3; i++) {
+            sum[i] += xyz[i];
+          }
+          if (++count < samples) {
+            return collect();
+          }
+
+          var profile = {
+            x: reference[0] - sum[0] / samples,
+            y: reference[1] - sum[1] / samples,
+            z: reference[2] - sum[2] / samples
+          };
+          var err = self._checkCalibration(profile);
+          if (err) {
+            return self._failProcedure(err, finish);
+          }
+          self._changeRegister(function change(complete) {
+            self._writeCalibration(profile, complete);
+          }, function calibrated(err) {
+            if (err) {
+              return self._failProcedure(err, finish);
+            }
+            finish(null, profile);
           });
+        });
+      }, 1000 / self.outputRate);
+    })();
+  });
+};
+
+// Runs the self test: measures the output with and without the CTRL_REG2 ST bit, which
+// deflects each axis electrostatically by a known amount. Samples at 4g and 100 Hz, then
+// puts the scale range and output rate back. options.samples are averaged each way (default 8).
+Accelerometer.prototype._unsafeSelfTest = function(options, callback) {
+  var self = this;
+
+  options = options || {};
+  var samples = options.samples || 8;
+  // Settings to put back afterwards
+  var saved = { scaleRange: self.scaleRange, fastRead: self.fastRead };
+
+  function finish(err, result) {
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null, result);
+    }
+    setImmediate(self.queue.next);
+  }
+
+  // Average of samples readings, leaving out the first skip while the output settles
+  function average(skip, callback) {
+    var sum = [0, 0, 0];
+    var count = -skip;
+
+    (function collect() {
+      setTimeout(function readSample() {
+        self._readAcceleration(function(err, xyz) {
+          if (err) {
+            return callback(err);
+          }
+          if (count >= 0) {
+            for (var i = 0; i < 3; i++) {
+              sum[i] += xyz[i];
+            }
+          }
+          if (++count < samples) {
+            return collect();
+          }
+          callback(null, sum.map(function(total) {
+            return total / samples;
+          }));
+        });
+      }, 1000 / SELF_TEST_RATE);
+    })();
+  }
+
+  // Turns the self test off and puts the settings back, whether or not the test got through
+  function restore(err, result) {
+    self._updateRegister(CTRL_REG2, 0x80, 0, function(stErr) {
+      self._changeRegister(function change(complete) {
+        self._writeRegisterList([
+          [XYZ_DATA_CFG, saved.xyzDataCfg],
+          [CTRL_REG1, saved.ctrlReg1 & ~0x01]
+        ], complete);
+      }, function restored(restoreErr) {
+        self.scaleRange = saved.scaleRange;
+        self.fastRead = saved.fastRead;
+        finish(err || stErr || restoreErr, result);
+      });
+    });
+  }
+
+  self._readRegister(XYZ_DATA_CFG, function(err, xyzDataCfg) {
+    if (err) {
+      return finish(err);
+    }
+    self._readRegister(CTRL_REG1, function(err, ctrlReg1) {
+      if (err) {
+        return finish(err);
+      }
+      saved.xyzDataCfg = xyzDataCfg;
+      saved.ctrlReg1 = ctrlReg1;
+
+      self._changeRegister(function change(complete) {
+        // 4g without the high pass filter, at full resolution and 100 Hz
+        var rate = self.availableOutputRates().indexOf(SELF_TEST_RATE);
+        self._writeRegisterList([
+          [XYZ_DATA_CFG, 0x01],
+          [CTRL_REG1, (ctrlReg1 & ~0x3B) | (rate << 3)]
+        ], complete);
+      }, function testSettings(err) {
+        if (err) {
+          return restore(err);
         }
+        self.scaleRange = 4;
+        self.fastRead = false;
+
+        average(1, function(err, off) {
+          if (err) {
+            return restore(err);
+          }
+          self._updateRegister(CTRL_REG2, 0x80, 0x80, function(err) {
+            if (err) {
+              return restore(err);
+            }
+            average(2, function(err, on) {
+              if (err) {
+                return restore(err);
+              }
+
+              var result = { pass: true };
+              ['x', 'y', 'z'].forEach(function(axis, i) {
+                var expected = SELF_TEST_CHANGE[i];
+                var change = on[i] - off[i];
+                var min = expected * (1 - SELF_TEST_TOLERANCE);
+                var max = expected * (1 + SELF_TEST_TOLERANCE);
+                var pass = change >= min && change <= max;
+                result[axis] = { change: change, expected: expected, min: min, max: max, pass: pass };
+                result.pass = result.pass && pass;
+              });
+              restore(null, result);
+            });
+          });
+        });
       });
+    });
+  });
+};
+
+// Sets up auto-sleep. Pass false as options to turn it off.
+Accelerometer.prototype._unsafeConfigureAutoSleep = function(options, callback) {
+  var self = this;
+
+  var enable = options !== false;
+  options = options || {};
+
+  // The closest sleep rate at or below the one requested
+  var sleepRate = options.sleepRate !== undefined ? options.sleepRate : 6.25;
+  var aslpRate = SLEEP_RATES.length - 1;
+  for (var i = 0; i < SLEEP_RATES.length; i++) {
+    if (SLEEP_RATES[i] <= sleepRate) {
+      aslpRate = i;
+      break;
+    }
+  }
+
+  // Inactivity before sleeping in ms, counted in 320 ms steps (640 ms at 1.56 Hz)
+  var step = self._awakeOutputRate() == 1.56 ? 640 : 320;
+  var timeout = options.timeout !== undefined ? options.timeout : 5000;
+  var count = Math.max(1, Math.min(255, Math.round(timeout / step)));
+
+  // Oversampling mode while asleep
+  var smods = POWER_MODES.indexOf(options.powerMode || 'normal');
+  if (smods === -1) {
+    self._failProcedure(new Error("Invalid power mode " + options.powerMode + ". Use one of " + POWER_MODES.join(', ') + "."), callback);
+    return setImmediate(self.queue.next);
+  }
+
+  var wakeOn = options.wakeOn || Object.keys(WAKE_SOURCES);
+  var wake = 0;
+  for (var j = 0; j < wakeOn.length; j++) {
+    if (!WAKE_SOURCES[wakeOn[j]]) {
+      self._failProcedure(new Error("Can't wake on " + wakeOn[j] + ". Use one of " + Object.keys(WAKE_SOURCES).join(', ') + "."), callback);
+      return setImmediate(self.queue.next);
+    }
+    wake |= WAKE_SOURCES[wakeOn[j]];
+  }
+
+  self._changeRegister(function change(complete) {
+    if (!enable) {
+      // Clear SLPE
+      return self._updateRegister(CTRL_REG2, 0x04, 0, function(err) {
+        if (err) return complete(err);
+        self.interrupts.enable('autoSleep', false, complete);
+      });
+    }
+    self._updateRegister(CTRL_REG1, 0xC0, aslpRate << 6, function(err) {
+      if (err) return complete(err);
+      self._writeRegister(ASLP_COUNT, count, function(err) {
+        if (err) return complete(err);
+        self._updateRegister(CTRL_REG3, 0x78, wake, function(err) {
+          if (err) return complete(err);
+          // Set SLPE and SMODS
+          self._updateRegister(CTRL_REG2, 0x1C, 0x04 | (smods << 3), function(err) {
+            if (err) return complete(err);
+            self.interrupts.enable('autoSleep', true, complete);
+          });
+        });
+      });
+    });
+  }, function configured(err) {
+    if (!err) {
+      self.sleepRate = enable ? SLEEP_RATES[aslpRate] : null;
+    }
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null);
+    }
+    setImmediate(self.queue.next);
+  });
+};
+
+// Sets the interrupt pin polarity and output type, and routes sources to INT1 or INT2
+Accelerometer.prototype._unsafeConfigureInterrupts = function(options, callback) {
+  var self = this;
+
+  options = options || {};
+
+  var activeHigh = options.activeHigh !== undefined ? options.activeHigh : self.interrupts.activeHigh;
+  var openDrain = options.openDrain !== undefined ? options.openDrain : self.interrupts.openDrain;
+  var routes = options.routes || {};
+  var sources = Object.keys(routes);
+
+  // Check the routes before leaving active mode
+  for (var i = 0; i < sources.length; i++) {
+    var line = routes[sources[i]];
+    if ((line !== 1 && line !== 2) || !self.interrupts.pins[line - 1]) {
+      self._failProcedure(new Error("Can't route " + sources[i] + " to INT" + line + ", no pin is wired to it."), callback);
+      return setImmediate(self.queue.next);
+    }
+  }
+
+  self._changeRegister(function change(complete) {
+    self.interrupts.configurePins(activeHigh, openDrain, function(err) {
+      if (err) return complete(err);
+      (function next(i) {
+        if (i == sources.length) {
+          return complete();
+        }
+        self.interrupts.route(sources[i], routes[sources[i]], function(err) {
+          if (err) return complete(err);
+          next(i + 1);
+        });
+      })(0);
+    });
+  }, function configured(err) {
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null);
+    }
+    setImmediate(self.queue.next);
+  });
+};
+
+// Sets up the portrait/landscape engine. Pass false as options to turn it off.
+Accelerometer.prototype._unsafeConfigurePortraitLandscape = function(options, callback) {
+  var self = this;
+
+  var enable = options !== false;
+  options = options || {};
+
+  // Only the MMA8451Q can change the angles. The others are fixed at the defaults.
+  var angles = ['tripAngle', 'hysteresis', 'zLockout', 'backFront'].some(function(option) {
+    return options[option] !== undefined;
+  });
+  if (angles && self._unsupported('portraitLandscapeAngles', callback)) {
+    return setImmediate(self.queue.next);
+  }
+
+  // Closest index of a table of angles
+  function closest(table, angle) {
+    var best = 0;
+    for (var i = 1; i < table.length; i++) {
+      if (Math.abs(table[i] - angle) < Math.abs(table[best] - angle)) {
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  // Trip angle between portrait and landscape
+  var codes = Object.keys(PL_TRIP_ANGLES).map(Number);
+  var trip = codes[closest(codes.map(function(code) {
+    return PL_TRIP_ANGLES[code];
+  }), options.tripAngle !== undefined ? options.tripAngle : 45)];
+  var hys = closest(PL_HYSTERESIS, options.hysteresis !== undefined ? options.hysteresis : 14);
+  // Below this angle from flat the orientation is locked
+  var zlock = closest(PL_Z_LOCKOUT, options.zLockout !== undefined ? options.zLockout : 29);
+  // Angle from flat at which the device flips between front and back facing
+  var bkfr = closest(PL_BACK_FRONT, options.backFront !== undefined ? options.backFront : 75);
+
+  // Debounce in ms
+  var count = self._debounceCount(options.debounce);
+
+  self._changeRegister(function change(complete) {
+    if (!enable) {
+      return self._writeRegister(PL_CFG, 0, function(err) {
+        if (err) return complete(err);
+        self.interrupts.enable('portraitLandscape', false, complete);
+      });
+    }
+    var writes = [
+      // Clear the debounce counter when the orientation changes back, and enable the engine
+      [PL_CFG, 0xC0],
+      [PL_COUNT, count]
+    ];
+    if (self.supports('portraitLandscapeAngles')) {
+      writes.push([PL_BF_ZCOMP, (bkfr << 6) | zlock], [P_L_THS_REG, (trip << 3) | hys]);
+    }
+    self._writeRegisterList(writes, function(err) {
+      if (err) return complete(err);
+      self.interrupts.enable('portraitLandscape', true, complete);
+    });
+  }, function configured(err) {
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null);
+    }
+    setImmediate(self.queue.next);
+  });
+};
+
+// Sets up the transient engine, which looks for changes in acceleration with gravity filtered
+// out. Pass false as options to turn it off.
+Accelerometer.prototype._unsafeConfigureTransient = function(options, callback) {
+  var self = this;
+
+  var enable = options !== false;
+  options = options || {};
+
+  var axes = options.axes || ['x', 'y', 'z'];
+  // Latch events until TRANSIENT_SRC is read
+  var cfg = 0x10;
+  ['x', 'y', 'z'].forEach(function(axis, i) {
+    if (axes.indexOf(axis) !== -1) {
+      cfg |= (0x02 << i);
+    }
+  });
+  // Bypassing the high pass filter compares raw acceleration instead
+  if (options.highPass === false) {
+    cfg |= 0x01;
+  }
+
+  // Threshold in g
+  var threshold = options.threshold !== undefined ? options.threshold : 0.5;
+  var ths = thresholdCounts(threshold);
+
+  // Debounce in ms
+  var count = self._debounceCount(options.debounce);
+
+  // The closest cutoff at or below the one requested
+  var cutoffs = self.availableHighPassCutoffs();
+  var sel = cutoffs.length - 1;
+  if (options.cutoff !== undefined) {
+    for (var i = 0; i < cutoffs.length; i++) {
+      if (cutoffs[i] <= options.cutoff) {
+        sel = i;
+        break;
+      }
+    }
+  }
+  else {
+    sel = cutoffs.indexOf(self.highPassCutoff);
+    if (sel === -1) sel = 0;
+  }
+
+  self._changeRegister(function change(complete) {
+    if (!enable) {
+      return self.interrupts.enable('transient', false, complete);
+    }
+    self._readRegister(HP_FILTER_CUTOFF, function(err, hpf) {
+      if (err) return complete(err);
+      self._writeRegisterList([
+        // Keep the pulse filter bits, replace SEL
+        [HP_FILTER_CUTOFF, (hpf & ~0x03) | sel],
+        [TRANSIENT_CFG, cfg],
+        [TRANSIENT_THS, ths],
+        [TRANSIENT_COUNT, count]
+      ], function(err) {
+        if (err) return complete(err);
+        self.interrupts.enable('transient', true, complete);
+      });
+    });
+  }, function configured(err) {
+    if (!err) {
+      if (enable) {
+        self.highPassCutoff = cutoffs[sel];
+      }
+      self._setTransientShake(enable && options.shake ? ths * THS_STEP : null);
+    }
+    if (err) {
+      self._failProcedure(err, callback);
+    }
+    else if (callback) {
+      callback(null);
+    }
+    setImmediate(self.queue.next);
+  });
+};
+
+// Switches shake events between the software check and the transient engine
+Accelerometer.prototype._setTransientShake = function(threshold) {
+  var self = this;
+
+  var wasHardware = self._transientShake !== null;
+  self._transientShake = threshold;
+
+  // Shake listeners no longer need (or now need) samples
+  if (self.listeners('shake').length && wasHardware != (threshold !== null)) {
+    self._updateDataInterrupts();
+  }
+};
+
+// Turns data interrupts on if any listener needs samples, off otherwise
+Accelerometer.prototype._updateDataInterrupts = function() {
+  var self = this;
+
+  // Recording a gesture needs samples too
+  self.enableDataInterrupts(!!self.gestures.recording || DATA_EVENTS.some(function(event) {
+    return self._needsData(event) && self.listeners(event).length > 0;
+  }), ignoreResult);
+};
+
+// Sets the accelerometer to read up to 2, 4, or 8 Gs of acceleration (smaller range = better precision)
+Accelerometer.prototype._unsafeSetScaleRange = function(scaleRange, callback) {
+  this._unsafeSet('scaleRange', scaleRange, callback);
+};
+
+// Sets the output rate of the data (1.56-800 Hz), rounded down to one the chip has
+Accelerometer.prototype._unsafeSetOutputRate = function (hz, callback) {
+  this._unsafeSet('outputRate', hz, callback);
+};
+
+
+// Logs the available interrupt rates in Hz
+Accelerometer.prototype.availableOutputRates = function() {
+  return OUTPUT_RATES.slice();
+};
+
+// Logs the available high pass filter cutoffs in Hz. They scale with the output rate.
+Accelerometer.prototype.availableHighPassCutoffs = function() {
+  // 16 Hz at the highest cutoff for engines running at 400 Hz or more, scaling down from there
+  var base = 16 * Math.min(this._engineRate(), 400) / 400;
+  return [base, base / 2, base / 4, base / 8];
+};
+
+// Logs the available oversampling modes. Low power modes draw less current, high resolution
+// and low noise modes oversample more for less noise.
+Accelerometer.prototype.availablePowerModes = function() {
+  return POWER_MODES.slice();
+};
+
+// Logs the available accelerometer ranges (in units of Gs)
+Accelerometer.prototype.availableScaleRanges = function() {
+  // The higher the range, the less accurate the readings are
+  return [2, 4, 8];
+};
+
+// Lets the chip drop to a low output rate by itself after a period of inactivity, and wake up
+// again when one of the wake functions detects something. Emits 'sleep' and 'wake' events, and
+// outputRate shows the sleep rate while asleep. The wake functions must be configured separately,
+// e.g. with configureMotion. Pass false to turn it off.
+// options: sleepRate in Hz (50, 12.5, 6.25 or 1.56, default 6.25), timeout of inactivity in ms
+// before sleeping (default 5000, in 320 ms steps) and wakeOn, a list of 'freefallMotion',
+// 'pulse', 'portraitLandscape' and 'transient' (default all), and powerMode while asleep
+// (see availablePowerModes, default 'normal')
+Accelerometer.prototype.configureAutoSleep = function(options, callback) {
+  if (this._unsupported('autoSleep', callback)) return;
+  this.queue.place(this._unsafeConfigureAutoSleep.bind(this, options, callback));
+};
+
+// Sets the interrupt pin polarity and output type, and routes interrupt sources to INT1 or INT2.
+// Pins for both lines are given to use(). Sources are 'dataReady', 'freefallMotion', 'pulse',
+// 'portraitLandscape', 'transient', 'fifo' and 'autoSleep'.
+// options: activeHigh (default false), openDrain (default false, push-pull) and routes, e.g.
+// { dataReady: 2, freefallMotion: 1 }
+Accelerometer.prototype.configureInterrupts = function(options, callback) {
+  this.queue.place(this._unsafeConfigureInterrupts.bind(this, options, callback));
+};
+
+// Detects freefall with the chip's freefall/motion engine, emitting 'freefall' events. Works
+// without data interrupts. Replaces any motion detection, pass false to turn it off.
+// options: axes (default ['x', 'y', 'z']), threshold in g (default 0.3), debounce in ms (default 0)
+Accelerometer.prototype.configureFreefall = function(options, callback) {
+  if (this._unsupported('freefall', callback)) return;
+  this.queue.place(this._unsafeConfigureFreefallMotion.bind(this, 'freefall', options, callback));
+};
+
+// Detects motion with the chip's freefall/motion engine, emitting 'motion' events. Works
+// without data interrupts. Replaces any freefall detection, pass false to turn it off.
+// options: axes (default ['x', 'y', 'z']), threshold in g (default 1.5), debounce in ms (default 0)
+Accelerometer.prototype.configureMotion = function(options, callback) {
+  if (this._unsupported('motion', callback)) return;
+  this.queue.place(this._unsafeConfigureFreefallMotion.bind(this, 'motion', options, callback));
+};
+
+// Detects single and double taps with the chip's pulse engine, emitting 'tap' and 'doubleTap'
+// events. Works without data interrupts. Pass false to turn it off.
+// options: axes (default ['x', 'y', 'z']), single and double (both default true), threshold in g
+// for all axes or as { x, y, z } (default 1.5), and timeLimit, latency and window in ms
+// (default 50, 100 and 300)
+Accelerometer.prototype.configureTap = function(options, callback) {
+  if (this._unsupported('pulse', callback)) return;
+  this.queue.place(this._unsafeConfigureTap.bind(this, options, callback));
+};
+
+// Detects portrait/landscape orientation and which way the device faces with the chip's
+// engine, emitting 'portraitLandscape' events. Responds faster than 'orientation' events,
+// which average samples in software. Works without data interrupts. Pass false to turn it off.
+// options: tripAngle between portrait and landscape (default 45), hysteresis either side of it
+// (default 14), zLockout angle from flat below which the orientation holds (default 29),
+// backFront angle for front/back detection (65 to 80, default 75), all in degrees and snapped
+// to what the chip supports, and debounce in ms (default 0). Only the MMA8451Q can change the
+// angles, see supports('portraitLandscapeAngles').
+Accelerometer.prototype.configurePortraitLandscape = function(options, callback) {
+  if (this._unsupported('portraitLandscape', callback)) return;
+  this.queue.place(this._unsafeConfigurePortraitLandscape.bind(this, options, callback));
+};
+
+// Detects changes in acceleration with the chip's transient engine, emitting 'transient'
+// events. Unlike shake events, gravity is filtered out first, so tilting doesn't trigger it.
+// Works without data interrupts. Pass false to turn it off.
+// options: axes (default ['x', 'y', 'z']), threshold in g (default 0.5), debounce in ms (default 0),
+// cutoff of the high pass filter in Hz (see availableHighPassCutoffs), highPass (default true)
+// and shake, to have the transient engine drive 'shake' events instead of the software check
+Accelerometer.prototype.configureTransient = function(options, callback) {
+  if (this._unsupported('transient', callback)) return;
+  this.queue.place(this._unsafeConfigureTransient.bind(this, options, callback));
+};
+
+// Whether the connected part has a feature, e.g. 'fifo'. See Accelerometer#chip.features.
+Accelerometer.prototype.supports = function(feature) {
+  // Until the part is identified, assume the MMA8452Q this module ships with
+  var chip = this.chip || CHIPS[0x2A];
+  return chip.features.indexOf(feature) !== -1;
+};
+
+// Enables or disables data interrupts. Set the first param truthy to enable, false to disable.
+Accelerometer.prototype.enableDataInterrupts = function(enable, callback) {
+  var self = this;
+
+  self.queue.place(function queueEnable() {
+    // Don't call unnecessarily.
+    if (self._dataInterrupts == !!enable) {
+      setImmediate(self.queue.next);
+      return callback && callback();
+    }
+    self._dataInterrupts = !!enable;
+    // Samples missed while data interrupts were off aren't overruns, or a stall
+    self._lastSampleTime = null;
+    self._lastData = Date.now();
+
+    // We're going to change register 4
+    self._changeRegister(function change(complete) {
+      self.interrupts.enable('dataReady', enable, complete);
     }, function intSet(err) {
-      if (callback) {
-        callback(err);
+      if (err) {
+        self._failProcedure(err, callback);
+      }
+      else if (callback) {
+        callback(null);
       }
       setImmediate(self.queue.next);
     });
@@ -502,21 +2218,10 @@ Accelerometer.prototype.getAcceleration = function (callback) {
   var self = this;
 
   self.queue.place( function readAccel() {
-    self._readRegisters(OUT_X_MSB, 6, function (err, rawData) {
-      if (err) throw err;
-      // Loop to calculate 12-bit ADC and g value for each axis
-      var out = [];
-      for (var i = 0; i < 3 ; i++) {
-        var gCount = (rawData[i*2] << 8) | rawData[(i*2)+1];  // Combine the two 8 bit registers into one 12-bit number
-
-        gCount = (gCount >> 4); // The registers are left align, here we right align the 12-bit integer
-
-        // If the number is negative, we have to make it so manually (no 12-bit data type)
-        if (rawData[i*2] > 0x7F) {
-          gCount = -(1 + 0xFFF - gCount); // Transform into negative 2's complement
-        }
-
-        out[i] = gCount / ((1<<12)/(2*self.scaleRange));
+    self._readAcceleration(function (err, out) {
+      if (err) {
+        self._failProcedure(err, callback);
+        return setImmediate(self.queue.next);
       }
 
       callback(null, out);
@@ -536,18 +2241,195 @@ Accelerometer.prototype.setScaleRange = function(scaleRange, callback) {
   this.queue.place(this._unsafeSetScaleRange.bind(this, scaleRange, callback));
 };
 
+// Queueing version of Accelerometer#_unsafeSetPowerMode
+Accelerometer.prototype.setPowerMode = function(mode, callback) {
+  this.queue.place(this._unsafeSetPowerMode.bind(this, mode, callback));
+};
+
+// Queueing version of Accelerometer#_unsafeCalibrate. Calls back with the new profile.
+Accelerometer.prototype.calibrate = function(options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  this.queue.place(this._unsafeCalibrate.bind(this, options, callback));
+};
+
+// Reads the offsets in g from OFF_X, OFF_Y and OFF_Z as a profile { x, y, z },
+// which can be saved as JSON and passed to setCalibration or the calibration option later
+Accelerometer.prototype.getCalibration = function(callback) {
+  var self = this;
+
+  self.queue.place(function readCalibration() {
+    self._readRegisters(OFF_X, 3, function(err, offsets) {
+      if (err) {
+        self._failProcedure(err, callback);
+      }
+      else {
+        var g = [];
+        for (var i = 0; i < 3; i++) {
+          // Signed 8 bit counts
+          g[i] = (offsets[i] > 0x7F ? offsets[i] - 0x100 : offsets[i]) * OFFSET_STEP;
+        }
+        callback(null, { x: g[0], y: g[1], z: g[2] });
+      }
+      setImmediate(self.queue.next);
+    });
+  });
+};
+
+// Reads the register map and decodes each register into named fields, keyed by register
+// name, e.g. registers.CTRL_REG1.outputRate. Registers which clear an event when read are
+// left out, so no interrupt is missed, unless options.clearing is true.
+// (Not named inspect, which older versions of util.inspect would call in console.log.)
+Accelerometer.prototype.readRegisters = function(options, callback) {
+  var self = this;
+
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  self.queue.place(function readMap() {
+    var values = {};
+    var addresses = registers.addresses(options.clearing);
+
+    (function next(i) {
+      if (i == addresses.length) {
+        var map = registers.decode(values);
+        map.WHO_AM_I.chip = CHIPS[map.WHO_AM_I.value] ? CHIPS[map.WHO_AM_I.value].name : null;
+        callback(null, map);
+        return setImmediate(self.queue.next);
+      }
+      self._readRegister(addresses[i], function(err, value) {
+        if (err) {
+          self._failProcedure(err, callback);
+          return setImmediate(self.queue.next);
+        }
+        values[addresses[i]] = value;
+        next(i + 1);
+      });
+    })(0);
+  });
+};
+
+// Queueing version of Accelerometer#_unsafeSelfTest. Calls back with { pass, x, y, z },
+// where each axis has the change measured, the change expected and the limits, all in g.
+Accelerometer.prototype.selfTest = function(options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  this.queue.place(this._unsafeSelfTest.bind(this, options, callback));
+};
+
+// Queueing version of Accelerometer#_unsafeSetCalibration
+Accelerometer.prototype.setCalibration = function(profile, callback) {
+  this.queue.place(this._unsafeSetCalibration.bind(this, profile, callback));
+};
+
+// Queueing version of Accelerometer#_unsafeConfigure
+Accelerometer.prototype.configure = function(config, callback) {
+  this.queue.place(this._unsafeConfigure.bind(this, config, callback));
+};
+
+// Returns the settings in effect, as configure takes them. The output rate is the one set,
+// even while auto-sleep has slowed the chip down.
+Accelerometer.prototype.getConfig = function() {
+  var self = this;
+
+  return {
+    scaleRange: self.scaleRange,
+    outputRate: self.sleeping ? self._wakeRate : self.outputRate,
+    powerMode: self.powerMode,
+    lowNoise: self.lowNoise,
+    fastRead: self.fastRead,
+    shakeThreshold: Math.sqrt(self.shakeThreshold2),
+    orientationSuppression: self.orientationSuppression,
+    sampleBufferLength: self.movingAverage.length,
+    tiltThreshold: self.tiltThreshold,
+    tiltHysteresis: self.tiltHysteresis
+  };
+};
+
+// Queueing version of Accelerometer#_unsafeSetFastRead
+Accelerometer.prototype.setFastRead = function(enable, callback) {
+  this.queue.place(this._unsafeSetFastRead.bind(this, enable, callback));
+};
+
+// Queueing version of Accelerometer#_unsafeSetLowNoise. Refuses to turn on at a scale range of 8g.
+Accelerometer.prototype.setLowNoise = function(enable, callback) {
+  this.queue.place(this._unsafeSetLowNoise.bind(this, enable, callback));
+};
+
 // Set the magnitude which will trigger a shake event.  Since the magnitude of gravity is a 1.0
 // a good range for this is 1.5 - 3
 // lower values are more sensative to a shake event
 Accelerometer.prototype.setShakeThreshold = function(threshold) {
+    this._configureSoftware({ shakeThreshold: threshold });
+};
+
+// Queueing version of Accelerometer#_unsafeClose. The instance can't be used afterwards,
+// call use again for a new one.
+Accelerometer.prototype.close = function(callback) {
+  this.queue.place(this._unsafeClose.bind(this, callback));
+};
+
+// Turns the watchdog on, or off with false. While it is on, samples stopping for timeout ms
+// (default 1000) or failed transfers emit 'disconnect', after which the chip is set up again
+// with its settings as soon as it answers, emitting 'reconnect'. The watchdog keeps the
+// process running until it is turned off.
+Accelerometer.prototype.setWatchdog = function(timeout) {
+    var self = this;
+
+    if (self._watchdog) {
+        clearInterval(self._watchdog.timer);
+        self._watchdog = null;
+    }
+    if (timeout === false) {
+        return;
+    }
+
+    timeout = timeout === undefined || timeout === true ? 1000 : timeout;
+    if (!(timeout > 0)) {
+        return self._failProcedure(new Error("Watchdog timeout must be larger than zero"));
+    }
+
+    self._watchdog = {
+        timeout: timeout,
+        timer: setInterval(self._checkWatchdog.bind(self), timeout / 2)
+    };
+};
+
+// Groups samples into 'batch' events of options.size samples, or of the samples in
+// options.interval ms. With options.sampleEvents false, samples are only delivered in
+// batches, skipping the per sample events and shake and orientation checks.
+// Pass false to stop batching.
+Accelerometer.prototype.setBatch = function(options) {
     var self = this;
 
-    if( threshold <= 0.0 ) {
-        err = new Error("Shake threshold must larger than zero");
+    if (!options) {
+        self._batch = null;
+        self._sampleEvents = true;
+        return;
+    }
+
+    if (!(options.size > 0) && !(options.interval > 0)) {
+        var err = new Error("Batches need a size or an interval larger than zero");
         return self._failProcedure(err);
     }
 
-    self.shakeThreshold2 = Math.pow(threshold, 2); // save squared value
+    self._batch = {
+        size: options.size || 0,
+        interval: options.interval || 0,
+        sequence: 0,
+        x: [],
+        y: [],
+        z: [],
+        timestamps: []
+    };
+    self._sampleEvents = options.sampleEvents !== false;
 };
 
 // Returns "turbulence" in sample buffer.  May be outdated by one sample
@@ -565,56 +2447,334 @@ Accelerometer.prototype.getTurbulence = function() {
 // A good range is 0.005 - 0.3
 // Disable this feature by setting this to 100
 Accelerometer.prototype.setOrientationSuppression = function(threshold) {
+    // Noise alone is over a threshold of 0.0001, which would prevent every orientation change
+    this._configureSoftware({ orientationSuppression: threshold });
+};
+
+// Sets the length of the moving average which affects orientation events as well as turbulence
+// If the sample rate is 12.5 (the default) a buffer length of 13 will result in about a 1 second
+// delay between flipping the device and an orientation event.
+// Lower this value for quicker less accurate orientation change events
+Accelerometer.prototype.setSampleBufferLength = function(length) {
+    // Calculations elsewhere assume this value is 2 or greater
+    this._configureSoftware({ sampleBufferLength: length });
+};
+
+// returns the average acceleration of the samples in the moving average
+Accelerometer.prototype.getAverageAcceleration = function() {
+    var self = this;
+
+    return self.averageAcceleration;
+};
+
+
+// Returns { pitch, roll, angle } in degrees from the average acceleration. Pitch is the
+// rotation about the y axis, roll about the x axis, and angle is how far the z axis is
+// from vertical. All three are measured from the attitude set with zero, if any.
+Accelerometer.prototype.getTilt = function() {
+    var self = this;
+
+    var g = self.averageAcceleration;
+    var reference = self._tiltReference || { pitch: 0, roll: 0, vector: [0, 0, 1] };
+    var degrees = 180 / Math.PI;
+
+    var pitch = Math.atan2(-g[0], Math.sqrt(g[1]*g[1] + g[2]*g[2])) * degrees;
+    var roll = Math.atan2(g[1], g[2]) * degrees;
+
+    // Angle between the gravity vector and the reference vertical
+    var magnitude = vectorLength(g);
+    var vertical = reference.vector;
+    var dot = g[0]*vertical[0] + g[1]*vertical[1] + g[2]*vertical[2];
+    var cos = magnitude ? Math.max(-1, Math.min(1, dot / (magnitude * vectorLength(vertical)))) : 1;
+
+    return {
+        pitch: pitch - reference.pitch,
+        // Keep roll within -180 to 180 degrees
+        roll: ((roll - reference.roll + 540) % 360) - 180,
+        angle: Math.acos(cos) * degrees
+    };
+};
+
+// Sets the current attitude as the reference that getTilt and 'tilt' events measure from
+Accelerometer.prototype.zero = function() {
     var self = this;
 
-    // a threshold set at this level will always prevent orientation changes due to noise
-    var minimumThreshold = 0.0001;
+    // Measure the current attitude from level
+    self._tiltReference = null;
+    var tilt = self.getTilt();
+
+    self._tiltReference = {
+        pitch: tilt.pitch,
+        roll: tilt.roll,
+        vector: self.averageAcceleration.slice()
+    };
+    self._lastTilt = null;
+    self._tiltDirection = { pitch: 0, roll: 0 };
+};
+
+// Sets the change in degrees of pitch or roll that emits a 'tilt' event, and the
+// extra change needed to report a move back the other way
+Accelerometer.prototype.setTiltThreshold = function(threshold, hysteresis) {
+    this._configureSoftware({ tiltThreshold: threshold, tiltHysteresis: hysteresis });
+};
+
+// Sets up the pedometer: options.sensitivity is the smallest swing in g counted as a
+// step (default 0.15, lower is more sensitive) and options.minInterval the shortest
+// time between steps in ms (default 250)
+Accelerometer.prototype.setPedometer = function(options) {
+    var self = this;
 
-    if( threshold <= minimumThreshold ) {
-        err = new Error("Orientation Suppression threshold must larger than " + minimumThreshold);
+    options = options || {};
+    if( options.sensitivity <= 0 || options.minInterval < 0 ) {
+        var err = new Error("Pedometer sensitivity must be larger than zero, and the minimum interval zero or larger");
         return self._failProcedure(err);
     }
 
-    self.orientationSuppression = threshold;
+    self.pedometer.configure(options);
 };
 
-// Sets the length of the running buffer which affects orientation events as well as turbulence
-// If the sample rate is 12.5 (the default) a buffer length of 13 will result in about a 1 second
-// delay between flipping the device and an orientation event.
-// Lower this value for quicker less accurate orientation change events
-Accelerometer.prototype.setSampleBufferLength = function(length) {
+// Sets the step count back to zero
+Accelerometer.prototype.resetSteps = function() {
     var self = this;
 
-    // Calculations elsewhere assume this value is 2 or greater
-    var minimumLength = 2;
+    self.pedometer.reset();
+};
 
-    if( length < minimumLength ) {
-        err = new Error("Sample Buffer length must " + minimumLength + " or larger");
+// Sets up vibration analysis: options.size samples (a power of two, default 64) are
+// analyzed every options.interval ms (default 1000), and options.bands lists
+// { name, from, to, threshold } bands in Hz to alert on when their level goes over
+// threshold g. See lib/vibration.js.
+Accelerometer.prototype.setVibration = function(options) {
+    var self = this;
+
+    try {
+        self.vibration = new VibrationAnalyzer(options);
+    }
+    catch (err) {
         return self._failProcedure(err);
     }
+};
 
-    self.bufferLength = length;
+// Records a gesture template called name. Samples are recorded until stop() is called on
+// the returned recording, or with options.auto, over the next burst of motion. Calls back
+// with the samples recorded. Recording a name again replaces its template.
+Accelerometer.prototype.recordGesture = function(name, options, callback) {
+    var self = this;
 
-    // reset buffer
-    self.bufferIndex = 0;
-    self.sampleBuffer = [];  // array of previous xyz values
-    for(var i = 0; i < self.bufferLength; i++) {
-        self.sampleBuffer[i] = [0,0,0];
+    if (typeof options == 'function') {
+        callback = options;
+        options = {};
     }
+    options = options || {};
+
+    var recording = self.gestures.startRecording(name, options.auto, function recorded(err, samples) {
+        // Samples may no longer be needed
+        self._updateDataInterrupts();
+        if (err) {
+            return self._failProcedure(err, callback);
+        }
+        if (callback) {
+            callback(null, samples);
+        }
+    });
+    self._updateDataInterrupts();
+
+    return {
+        stop: function() {
+            // Leave other recordings alone
+            if (recording && self.gestures.recording === recording) {
+                self.gestures.stopRecording();
+            }
+        }
+    };
+};
 
+// Takes a gesture template out of matching
+Accelerometer.prototype.removeGesture = function(name) {
+    delete this.gestures.templates[name];
 };
 
-// returns the average acceleration of the samples in the sample buffer
-Accelerometer.prototype.getAverageAcceleration = function() {
+// Returns the gesture templates as an object which can be saved with JSON.stringify
+Accelerometer.prototype.exportGestures = function() {
+    return this.gestures.toJSON();
+};
+
+// Adds gesture templates from exportGestures, as an object or a JSON string
+Accelerometer.prototype.importGestures = function(json) {
     var self = this;
 
-    return self.averageAcceleration;
+    try {
+        self.gestures.load(json);
+    }
+    catch (err) {
+        return self._failProcedure(err);
+    }
+};
+
+// Adds a filter to the end of the chain that samples go through before 'filtered'
+// events. A filter has process(xyz), returning the filtered sample, see lib/filters.js.
+Accelerometer.prototype.use = function(filter) {
+    var self = this;
+
+    if (!filter || typeof filter.process != 'function') {
+        var err = new Error("Filters need a process(xyz) method");
+        return self._failProcedure(err);
+    }
+
+    self.filters.push(filter);
+    return self;
+};
+
+// Takes a filter out of the chain
+Accelerometer.prototype.removeFilter = function(filter) {
+    var self = this;
+
+    var index = self.filters.indexOf(filter);
+    if (index !== -1) {
+        self.filters.splice(index, 1);
+    }
+};
+
+// Sets whether a software detector, 'shake', 'orientation', 'step', 'gesture' or 'vibration',
+// reads 'raw' samples (the default) or 'filtered' ones from the chain set up with use
+Accelerometer.prototype.setDetectorSource = function(detector, source) {
+    var self = this;
+    var err;
+
+    if (DETECTORS.indexOf(detector) === -1) {
+        err = new Error("Unknown detector " + detector + ". Use one of " + DETECTORS.join(', ') + ".");
+        return self._failProcedure(err);
+    }
+    if (source != 'raw' && source != 'filtered') {
+        err = new Error("Detector source must be 'raw' or 'filtered', not " + source);
+        return self._failProcedure(err);
+    }
+
+    self.detectorSources[detector] = source;
+};
+
+// Records samples to output, a file path or a Writable stream, as CSV or with
+// options.format 'jsonl', JSON lines. Returns the recorder; call stop() on it to finish.
+// See lib/recording.js for the formats.
+Accelerometer.prototype.record = function(output, options) {
+    var self = this;
+
+    try {
+        return new recording.Recorder(self, output, options);
+    }
+    catch (err) {
+        return self._failProcedure(err);
+    }
+};
+
+// Replays a recording from record through the sample events and detectors, as if the
+// samples had just been read. source is a file path, or the recording itself as a string
+// or Buffer. Samples are spaced out as recorded unless options.realTime is false, when
+// they go as fast as possible. Live samples are ignored meanwhile, and the detectors
+// work at the recorded output rate. Calls back with the recording's metadata and the number of samples
+// replayed. Returns an object with stop().
+Accelerometer.prototype.replay = function(source, options, callback) {
+    var self = this;
+
+    if (typeof options == 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    var stopped = false;
+    var player = null;
+
+    function done(err, metadata, count) {
+        if (err) {
+            return self._failProcedure(err, callback);
+        }
+        if (callback) {
+            callback(null, { metadata: metadata, samples: count });
+        }
+    }
+
+    function play(err, text) {
+        if (err) {
+            return done(err);
+        }
+        if (stopped) {
+            return done(null, {}, 0);
+        }
+
+        var parsed;
+        try {
+            parsed = recording.parse(text);
+        }
+        catch (err) {
+            return done(err);
+        }
+
+        if (self._replaying) {
+            return done(new Error("Another recording is being replayed"));
+        }
+        self._replaying = true;
+
+        player = recording.replay(self, parsed, options, function replayed(err, count) {
+            self._replaying = false;
+            done(err, parsed.metadata, count);
+        });
+    }
+
+    // Recordings have more than one line, paths don't
+    if (Buffer.isBuffer(source) || String(source).indexOf('\n') !== -1) {
+        setImmediate(play, null, String(source));
+    }
+    else {
+        fs.readFile(source, 'utf8', play);
+    }
+
+    return {
+        stop: function() {
+            stopped = true;
+            if (player) {
+                player.stop();
+            }
+        }
+    };
+};
+
+// Returns a Readable stream of samples, see lib/stream.js
+Accelerometer.prototype.createReadStream = function(options) {
+  return new SampleStream(this, options);
 };
 
+// Calls back with the accelerometer once it is ready, or with the error init failed with
+Accelerometer.prototype.ready = function(callback) {
+  var self = this;
+
+  if (self._initialized || self._initError) {
+    return setImmediate(function() {
+      callback(self._initError, self._initError ? undefined : self);
+    });
+  }
+  self._readyCallbacks.push(callback);
+};
+
+// Async methods, which return a Promise when called without a callback
+['calibrate', 'close', 'configure', 'configureAutoSleep', 'configureFreefall', 'configureInterrupts', 'configureMotion',
+  'configurePortraitLandscape', 'configureTap', 'configureTransient', 'enableDataInterrupts',
+  'getAcceleration', 'getCalibration', 'readRegisters', 'ready', 'selfTest', 'setCalibration',
+  'setFastRead', 'setLowNoise', 'setOutputRate', 'setPowerMode', 'setScaleRange'].forEach(function(name) {
+  Accelerometer.prototype[name] = promising(Accelerometer.prototype[name]);
+});
+
+function use (hardware, options, callback) {
+  return new Accelerometer(hardware, options, callback);
+}
 
-function use (hardware, callback) {
-  return new Accelerometer(hardware, callback);
+// Connects to the accelerometer, returning a Promise of it once it is ready
+function useAsync (hardware, options) {
+  return use(hardware, options).ready();
 }
 
 exports.Accelerometer = Accelerometer;
+exports.chips = CHIPS;
+exports.filters = filters;
 exports.use = use;
+exports.useAsync = useAsync;
@@ -0,0 +1,177 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// Software filters for [x, y, z] samples. Each has process(xyz), which
+// returns the filtered sample, and reset(), which forgets past samples.
+// Chain them with accel.use(filter).
+
+// Average of the last options.length samples (default 13). The buffer starts out
+// full of zeros. The length may also be passed on its own.
+function MovingAverage (options) {
+  var length = typeof options == 'number' ? options : (options || {}).length;
+  this.setLength(length || 13);
+}
+
+// Changes the number of samples averaged, and resets the buffer
+MovingAverage.prototype.setLength = function(length) {
+  // Turbulence needs at least two samples
+  if (!(length >= 2)) {
+    throw new Error('Moving average length must be 2 or larger');
+  }
+  this.length = length;
+  this.reset();
+};
+
+MovingAverage.prototype.reset = function() {
+  this.index = 0;    // index into buffer[]
+  this.buffer = [];  // array of previous xyz values
+  for (var i = 0; i < this.length; i++) {
+    this.buffer[i] = [0, 0, 0];
+  }
+};
+
+MovingAverage.prototype.process = function(xyz) {
+  // load sample into buffer, then increment and wrap index
+  this.buffer[this.index] = xyz;
+  this.index = (this.index + 1) % this.length;
+
+  var average = [0, 0, 0];
+  for (var i = 0; i < this.length; i++) {
+    average[0] += this.buffer[i][0];
+    average[1] += this.buffer[i][1];
+    average[2] += this.buffer[i][2];
+  }
+  return average.map(function(sum) {
+    return sum / this.length;
+  }, this);
+};
+
+// Average change between neighbouring samples in the buffer, over all axes
+MovingAverage.prototype.turbulence = function() {
+  var total = 0;
+  for (var i = 1; i < this.length; i++) {
+    total += Math.abs(this.buffer[i][0] - this.buffer[i-1][0]);
+    total += Math.abs(this.buffer[i][1] - this.buffer[i-1][1]);
+    total += Math.abs(this.buffer[i][2] - this.buffer[i-1][2]);
+  }
+  // normalize by dividing by (number of delta samples * number of axis)
+  return total / ((this.length - 1) * 3);
+};
+
+// Exponential low pass filter. options.alpha (0 to 1, default 0.2) is how much
+// of each new sample is taken in. Lower is smoother but slower.
+function LowPass (options) {
+  options = options || {};
+  this.alpha = options.alpha !== undefined ? options.alpha : 0.2;
+  this.reset();
+}
+
+LowPass.prototype.reset = function() {
+  this.value = null;
+};
+
+LowPass.prototype.process = function(xyz) {
+  var alpha = this.alpha;
+
+  // Start from the first sample rather than from zero
+  if (!this.value) {
+    this.value = xyz.slice();
+  }
+  this.value = this.value.map(function(previous, i) {
+    return previous + alpha * (xyz[i] - previous);
+  });
+  return this.value.slice();
+};
+
+// High pass filter, which removes gravity and other slow changes by taking away
+// an exponential low pass of the samples. options.alpha defaults to 0.1.
+function HighPass (options) {
+  options = options || {};
+  this.lowPass = new LowPass({ alpha: options.alpha !== undefined ? options.alpha : 0.1 });
+}
+
+HighPass.prototype.reset = function() {
+  this.lowPass.reset();
+};
+
+HighPass.prototype.process = function(xyz) {
+  var slow = this.lowPass.process(xyz);
+  return xyz.map(function(g, i) {
+    return g - slow[i];
+  });
+};
+
+// Median of the last options.length samples (default 5) on each axis, which
+// removes spikes without smearing steps
+function Median (options) {
+  options = options || {};
+  this.length = options.length || 5;
+  this.reset();
+}
+
+Median.prototype.reset = function() {
+  this.buffer = [];
+};
+
+Median.prototype.process = function(xyz) {
+  var buffer = this.buffer;
+
+  buffer.push(xyz);
+  if (buffer.length > this.length) {
+    buffer.shift();
+  }
+
+  return [0, 1, 2].map(function(axis) {
+    var values = buffer.map(function(sample) {
+      return sample[axis];
+    }).sort(function(a, b) {
+      return a - b;
+    });
+    var middle = Math.floor(values.length / 2);
+    return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+  });
+};
+
+// One dimensional Kalman filter on each axis, for a value that holds steady.
+// options.processNoise (default 0.01) is how much the true value is expected to
+// wander between samples, options.measurementNoise (default 0.1) how noisy samples are.
+function Kalman (options) {
+  options = options || {};
+  this.processNoise = options.processNoise !== undefined ? options.processNoise : 0.01;
+  this.measurementNoise = options.measurementNoise !== undefined ? options.measurementNoise : 0.1;
+  this.reset();
+}
+
+Kalman.prototype.reset = function() {
+  // Estimate and its error covariance
+  this.estimate = null;
+  this.error = [1, 1, 1];
+};
+
+Kalman.prototype.process = function(xyz) {
+  if (!this.estimate) {
+    this.estimate = xyz.slice();
+    return xyz.slice();
+  }
+
+  for (var i = 0; i < 3; i++) {
+    // Predict, then correct towards the sample by the Kalman gain
+    this.error[i] += this.processNoise;
+    var gain = this.error[i] / (this.error[i] + this.measurementNoise);
+    this.estimate[i] += gain * (xyz[i] - this.estimate[i]);
+    this.error[i] *= 1 - gain;
+  }
+  return this.estimate.slice();
+};
+
+exports.MovingAverage = MovingAverage;
+exports.LowPass = LowPass;
+exports.HighPass = HighPass;
+exports.Median = Median;
+exports.Kalman = Kalman;
@@ -0,0 +1,272 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// Records gestures as templates and recognizes them in the sample stream.
+// Samples are split into bursts of motion between quiet spells. Each burst is
+// compared with every template by dynamic time warping, which lines up
+// gestures made at different speeds, and the closest template under the
+// distance limit is reported.
+
+// Number of points gestures are resampled to before comparing them, so the
+// output rate and gesture speed don't matter
+var RESAMPLE_LENGTH = 32;
+
+// Splits samples into bursts of motion. Motion starts when a sample is more than
+// options.threshold g (default 0.2) away from the resting acceleration and ends
+// after options.quietTime ms (default 200) back at rest. Bursts shorter than
+// options.minDuration ms (default 100) are ignored, and longer than
+// options.maxDuration ms (default 3000) are cut off.
+function Segmenter (options) {
+  options = options || {};
+  this.threshold = options.threshold || 0.2;
+  this.quietTime = options.quietTime || 200;
+  this.minDuration = options.minDuration || 100;
+  this.maxDuration = options.maxDuration || 3000;
+  this.reset();
+}
+
+Segmenter.prototype.reset = function() {
+  // Resting acceleration, mostly gravity
+  this.baseline = null;
+  this.segment = null;
+  this.start = null;
+  this.lastMotion = null;
+};
+
+// Acceleration with the resting acceleration taken away
+Segmenter.prototype.relative = function(xyz) {
+  var baseline = this.baseline || xyz;
+  return xyz.map(function(g, i) {
+    return g - baseline[i];
+  });
+};
+
+// Takes a sample and its timestamp in ms. Returns the burst of motion, as samples
+// relative to rest, once one has ended. Returns null otherwise.
+Segmenter.prototype.process = function(xyz, timestamp) {
+  if (!this.baseline) {
+    this.baseline = xyz.slice();
+  }
+
+  var relative = this.relative(xyz);
+  var moving = magnitude(relative) > this.threshold;
+
+  if (!this.segment) {
+    if (!moving) {
+      // Follow slow changes in the resting acceleration, e.g. the board being turned
+      this.baseline = this.baseline.map(function(g, i) {
+        return g + (xyz[i] - g) * 0.1;
+      });
+      return null;
+    }
+    this.segment = [];
+    this.start = timestamp;
+  }
+
+  this.segment.push(relative);
+  if (moving) {
+    this.lastMotion = timestamp;
+  }
+
+  var quiet = timestamp - this.lastMotion >= this.quietTime;
+  var tooLong = timestamp - this.start >= this.maxDuration;
+  if (!quiet && !tooLong) {
+    return null;
+  }
+
+  var segment = this.segment;
+  var duration = this.lastMotion - this.start;
+  this.segment = null;
+
+  if (duration < this.minDuration) {
+    return null;
+  }
+  // Leave off the quiet spell at the end
+  return quiet ? segment.slice(0, lastMoving(segment, this.threshold) + 1) : segment;
+};
+
+function magnitude(xyz) {
+  return Math.sqrt(xyz[0]*xyz[0] + xyz[1]*xyz[1] + xyz[2]*xyz[2]);
+}
+
+// Index of the last sample in motion
+function lastMoving(segment, threshold) {
+  for (var i = segment.length - 1; i >= 0; i--) {
+    if (magnitude(segment[i]) > threshold) {
+      return i;
+    }
+  }
+  return segment.length - 1;
+}
+
+// Leaves off the samples at rest before and after the motion
+function trimQuiet(samples, threshold) {
+  var first = 0;
+  while (first < samples.length && magnitude(samples[first]) <= threshold) {
+    first++;
+  }
+  // All at rest, so keep everything
+  if (first == samples.length) {
+    return samples;
+  }
+  return samples.slice(first, lastMoving(samples, threshold) + 1);
+}
+
+// Linearly interpolates samples to length points
+function resample(samples, length) {
+  if (samples.length == 1) {
+    samples = [samples[0], samples[0]];
+  }
+  var out = [];
+  for (var i = 0; i < length; i++) {
+    var position = i * (samples.length - 1) / (length - 1);
+    var before = Math.floor(position);
+    var after = Math.min(before + 1, samples.length - 1);
+    var fraction = position - before;
+    out.push([0, 1, 2].map(function(axis) {
+      return samples[before][axis] + (samples[after][axis] - samples[before][axis]) * fraction;
+    }));
+  }
+  return out;
+}
+
+// Dynamic time warping distance between two gestures, averaged over the
+// warping path so it is in g
+function dtw(a, b) {
+  var n = a.length;
+  var m = b.length;
+  // cost[i][j] is [total distance, path length] of the best path to a[i], b[j]
+  var cost = [];
+
+  for (var i = 0; i < n; i++) {
+    cost[i] = [];
+    for (var j = 0; j < m; j++) {
+      var dx = a[i][0] - b[j][0];
+      var dy = a[i][1] - b[j][1];
+      var dz = a[i][2] - b[j][2];
+      var distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+
+      var best = null;
+      if (i > 0) best = cost[i-1][j];
+      if (j > 0 && (!best || cost[i][j-1][0] < best[0])) best = cost[i][j-1];
+      if (i > 0 && j > 0 && cost[i-1][j-1][0] <= best[0]) best = cost[i-1][j-1];
+
+      cost[i][j] = best ? [best[0] + distance, best[1] + 1] : [distance, 1];
+    }
+  }
+
+  return cost[n-1][m-1][0] / cost[n-1][m-1][1];
+}
+
+// Templates is an object of gesture name to samples. options.maxDistance is the
+// furthest in g a burst may be from a template to match it (default 0.25). Other
+// options go to the Segmenter.
+function GestureRecognizer (options) {
+  options = options || {};
+  this.templates = {};
+  this.maxDistance = options.maxDistance || 0.25;
+  this.segmenter = new Segmenter(options);
+  // Recording in progress: { name, auto, samples, callback }
+  this.recording = null;
+}
+
+// Starts recording a template. With auto, the next burst of motion is recorded;
+// otherwise every sample until stopRecording. Calls back with the samples recorded.
+// Returns the recording, or null if another is in progress.
+GestureRecognizer.prototype.startRecording = function(name, auto, callback) {
+  if (this.recording) {
+    callback(new Error('Already recording gesture ' + this.recording.name));
+    return null;
+  }
+  this.recording = { name: name, auto: !!auto, samples: [], callback: callback };
+  return this.recording;
+};
+
+// Finishes recording a template. Returns the samples, or null if there weren't any.
+GestureRecognizer.prototype.stopRecording = function() {
+  var recording = this.recording;
+  if (!recording) {
+    return null;
+  }
+  this.recording = null;
+
+  var samples = recording.auto ? recording.samples : trimQuiet(recording.samples, this.segmenter.threshold);
+  if (!samples.length) {
+    recording.callback(new Error('No samples were recorded for gesture ' + recording.name));
+    return null;
+  }
+  this.templates[recording.name] = samples;
+  recording.callback(null, samples);
+  return samples;
+};
+
+// Takes a sample and its timestamp in ms. Returns { name, score, distance } when a
+// burst of motion matched a template, null otherwise. Score is 1 for a perfect
+// match, falling to 0 at maxDistance.
+GestureRecognizer.prototype.process = function(xyz, timestamp) {
+  var recording = this.recording;
+
+  if (recording && !recording.auto) {
+    recording.samples.push(this.segmenter.relative(xyz));
+    return null;
+  }
+
+  var segment = this.segmenter.process(xyz, timestamp);
+  if (!segment) {
+    return null;
+  }
+
+  if (recording) {
+    recording.samples = segment;
+    this.stopRecording();
+    return null;
+  }
+
+  return this.match(segment);
+};
+
+// Closest template to a burst of motion, if any is within maxDistance
+GestureRecognizer.prototype.match = function(segment) {
+  var best = null;
+  var candidate = resample(segment, RESAMPLE_LENGTH);
+
+  for (var name in this.templates) {
+    var distance = dtw(candidate, resample(this.templates[name], RESAMPLE_LENGTH));
+    if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+      best = { name: name, score: 1 - distance / this.maxDistance, distance: distance };
+    }
+  }
+  return best;
+};
+
+GestureRecognizer.prototype.toJSON = function() {
+  return { templates: this.templates };
+};
+
+// Adds the templates from toJSON, as an object or a JSON string
+GestureRecognizer.prototype.load = function(json) {
+  var data = typeof json == 'string' ? JSON.parse(json) : json;
+  var templates = data.templates || {};
+
+  for (var name in templates) {
+    var samples = templates[name];
+    if (!Array.isArray(samples) || !samples.length || !samples.every(function(sample) {
+      return Array.isArray(sample) && sample.length == 3;
+    })) {
+      throw new Error('Gesture ' + name + ' should be a list of [x, y, z] samples');
+    }
+    this.templates[name] = samples;
+  }
+};
+
+GestureRecognizer.Segmenter = Segmenter;
+GestureRecognizer.dtw = dtw;
+GestureRecognizer.resample = resample;
+
+module.exports = GestureRecognizer;
@@ -0,0 +1,267 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// Keeps track of which interrupt sources are enabled, which of the two
+// interrupt lines each is routed to, and dispatches interrupts to the
+// handler registered for each source.
+
+// Registers
+var INT_SOURCE = 0x0C;
+var CTRL_REG3 = 0x2C;
+var CTRL_REG4 = 0x2D;
+var CTRL_REG5 = 0x2E;
+
+// Interrupt sources, as laid out in CTRL_REG4, CTRL_REG5 and INT_SOURCE
+var SOURCES = {
+  dataReady: 0x01,
+  freefallMotion: 0x04,
+  pulse: 0x08,
+  portraitLandscape: 0x10,
+  transient: 0x20,
+  fifo: 0x40,
+  autoSleep: 0x80
+};
+
+// Interrupt pins in use, one entry per line per accelerometer. Accelerometers
+// which share a pin use this to check that an interrupt came from their own chip.
+// Entries are taken out again by release.
+var claimedPins = [];
+
+// ms to wait before listening again after an interrupt on a shared pin that wasn't
+// ours, while the accelerometer it was for reads its chip and lets go of the line
+var IDLE_DELAY = 5;
+
+// accel is the Accelerometer whose registers are managed. pins are the GPIOs
+// wired to INT1 and INT2, either of which may be missing.
+function InterruptManager (accel, pins) {
+  var self = this;
+
+  self.accel = accel;
+  self.pins = [pins.int1 || null, pins.int2 || null];
+  // Sources enabled in CTRL_REG4
+  self.enabled = 0;
+  // Sources routed to INT1 in CTRL_REG5, the rest go to INT2
+  self.routing = 0;
+  // Pin settings in CTRL_REG3
+  self.activeHigh = false;
+  self.openDrain = false;
+
+  // [source bit, handler] in the order handlers run
+  self._handlers = [];
+  // Listener currently waiting on each line, if any
+  self._listeners = [null, null];
+  // Timer to listen again on each line after an interrupt that wasn't ours, if any
+  self._idleTimers = [null, null];
+  // Set by release, after which the lines aren't listened to again
+  self.released = false;
+
+  self.pins.forEach(function(pin) {
+    if (pin) claimedPins.push(pin);
+  });
+}
+
+// Bit for a source name, or the bit itself
+InterruptManager.prototype._bit = function(source) {
+  var bit = typeof source == 'number' ? source : SOURCES[source];
+  if (!bit) {
+    throw new Error('Unknown interrupt source ' + source);
+  }
+  return bit;
+};
+
+// Sets the function called when a source raises an interrupt. It is passed a
+// callback to call once the source has been serviced.
+InterruptManager.prototype.register = function(source, handler) {
+  this._handlers.push([this._bit(source), handler]);
+};
+
+// Sources enabled and routed to a line, 0 for INT1 and 1 for INT2
+InterruptManager.prototype._lineSources = function(line) {
+  return this.enabled & (line === 0 ? this.routing : ~this.routing);
+};
+
+// Whether another accelerometer listens on the same pin as a line
+InterruptManager.prototype._shared = function(line) {
+  var pin = this.pins[line];
+  return claimedPins.filter(function(claimed) {
+    return claimed === pin;
+  }).length > 1;
+};
+
+// Starts listening for interrupts on both lines
+InterruptManager.prototype.arm = function() {
+  this._arm(0);
+  this._arm(1);
+};
+
+// Stops listening, e.g. before the pin polarity changes
+InterruptManager.prototype.disarm = function() {
+  for (var line = 0; line < 2; line++) {
+    if (this._listeners[line]) {
+      this.pins[line].removeListener(this._listeners[line].event, this._listeners[line].handler);
+      this._listeners[line] = null;
+    }
+    clearTimeout(this._idleTimers[line]);
+    this._idleTimers[line] = null;
+  }
+};
+
+// Stops listening for good and gives up the pins, so accelerometers left sharing
+// them no longer need to ask their chip where each interrupt came from
+InterruptManager.prototype.release = function() {
+  this.released = true;
+  this.disarm();
+
+  this.pins.forEach(function(pin) {
+    var index = pin ? claimedPins.indexOf(pin) : -1;
+    if (index !== -1) claimedPins.splice(index, 1);
+  });
+};
+
+// Turns every source off in CTRL_REG4, so the chip leaves both lines alone. Must be
+// called in standby.
+InterruptManager.prototype.disableAll = function(callback) {
+  var self = this;
+
+  self.accel._writeRegister(CTRL_REG4, 0, function(err) {
+    if (!err) {
+      self.enabled = 0;
+    }
+    callback(err);
+  });
+};
+
+InterruptManager.prototype._arm = function(line) {
+  var self = this;
+  var pin = self.pins[line];
+
+  if (!pin || self._listeners[line] || self._idleTimers[line] || self.released) return;
+
+  var listener = {
+    event: self.activeHigh ? 'high' : 'low',
+    handler: function() {
+      self._listeners[line] = null;
+      self._interrupt(line);
+    }
+  };
+  self._listeners[line] = listener;
+  pin.once(listener.event, listener.handler);
+};
+
+// Handles a line being asserted
+InterruptManager.prototype._interrupt = function(line) {
+  var self = this;
+  var rearm = self._arm.bind(self, line);
+  var sources = self._lineSources(line);
+
+  // With only the data interrupt on the line, and the pin to ourselves, every interrupt is new data
+  if (sources == SOURCES.dataReady && !self._shared(line)) {
+    return self.dispatch(sources, rearm);
+  }
+
+  // Otherwise ask the chip which sources are pending. Nothing pending means another
+  // accelerometer on the same pin raised the interrupt, and still holds the line, so
+  // give it time to service its chip before listening again.
+  self.accel._readRegister(INT_SOURCE, function(err, pending) {
+    if (err) {
+      self.accel._busError(err);
+      return rearm();
+    }
+    if (!(pending & sources)) {
+      self._idleTimers[line] = setTimeout(function() {
+        self._idleTimers[line] = null;
+        rearm();
+      }, IDLE_DELAY);
+      return;
+    }
+    self.dispatch(pending & sources, rearm);
+  });
+};
+
+// Runs the handler of every pending source in turn
+InterruptManager.prototype.dispatch = function(pending, callback) {
+  var handlers = this._handlers;
+
+  (function next(i) {
+    if (i == handlers.length) {
+      return callback();
+    }
+    if (pending & handlers[i][0]) {
+      handlers[i][1](function handled() {
+        next(i + 1);
+      });
+    }
+    else {
+      next(i + 1);
+    }
+  })(0);
+};
+
+// Turns a source on or off in CTRL_REG4. Must be called in standby.
+InterruptManager.prototype.enable = function(source, enable, callback) {
+  var self = this;
+  var bit = self._bit(source);
+
+  self.accel._updateRegister(CTRL_REG4, bit, enable ? bit : 0, function(err, regVal) {
+    if (!err) {
+      self.enabled = regVal;
+    }
+    callback(err);
+  });
+};
+
+// Routes a source to INT1 (1) or INT2 (2) in CTRL_REG5. Must be called in standby.
+InterruptManager.prototype.route = function(source, line, callback) {
+  var self = this;
+  var bit = self._bit(source);
+
+  if (line !== 1 && line !== 2) {
+    return callback(new Error('Interrupt line must be 1 or 2, not ' + line));
+  }
+  if (!self.pins[line - 1]) {
+    return callback(new Error('No pin is wired to INT' + line));
+  }
+
+  self.accel._updateRegister(CTRL_REG5, bit, line === 1 ? bit : 0, function(err, regVal) {
+    if (!err) {
+      self.routing = regVal;
+    }
+    callback(err);
+  });
+};
+
+// Line a source is routed to, 1 or 2
+InterruptManager.prototype.lineOf = function(source) {
+  return (this.routing & this._bit(source)) ? 1 : 2;
+};
+
+// Sets the polarity and output type of both lines in CTRL_REG3. Must be called in standby.
+InterruptManager.prototype.configurePins = function(activeHigh, openDrain, callback) {
+  var self = this;
+
+  // IPOL is bit 1, PP_OD bit 0
+  var value = (activeHigh ? 0x02 : 0) | (openDrain ? 0x01 : 0);
+  self.accel._updateRegister(CTRL_REG3, 0x03, value, function(err) {
+    if (!err) {
+      // Listen for the new active level
+      var rearm = self.activeHigh != !!activeHigh;
+      self.activeHigh = !!activeHigh;
+      self.openDrain = !!openDrain;
+      if (rearm) {
+        self.disarm();
+        self.arm();
+      }
+    }
+    callback(err);
+  });
+};
+
+InterruptManager.SOURCES = SOURCES;
+
+module.exports = InterruptManager;
@@ -0,0 +1,126 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// Counts steps from the magnitude of acceleration. The magnitude swings up and
+// down once a step; a step is counted each time it rises through the middle of
+// the swing. The top and bottom of the swing are tracked with envelopes that
+// decay towards each other, so the threshold adapts to how hard the wearer
+// walks. Everything is timed from sample timestamps, so it works the same at
+// any output rate.
+
+// Time constant in ms with which the envelopes decay
+var ENVELOPE_DECAY = 1000;
+// Steps further apart than this in ms start a new walk, with no cadence yet
+var MAX_INTERVAL = 2000;
+// Number of recent step intervals cadence is averaged over
+var CADENCE_STEPS = 4;
+
+// options.sensitivity is the smallest swing in g counted as a step (default
+// 0.15), lower values are more sensitive. options.minInterval is the shortest
+// time between steps in ms (default 250, a cadence of 240 steps a minute).
+function Pedometer (options) {
+  this.configure(options);
+  this.reset();
+}
+
+Pedometer.prototype.configure = function(options) {
+  options = options || {};
+  if (options.sensitivity !== undefined) {
+    this.sensitivity = options.sensitivity;
+  }
+  else if (this.sensitivity === undefined) {
+    this.sensitivity = 0.15;
+  }
+  if (options.minInterval !== undefined) {
+    this.minInterval = options.minInterval;
+  }
+  else if (this.minInterval === undefined) {
+    this.minInterval = 250;
+  }
+};
+
+// Forgets the step count and the walk so far
+Pedometer.prototype.reset = function() {
+  this.steps = 0;
+  this.cadence = 0;
+  this._intervals = [];
+  this._lastStep = null;
+  this._lastTime = null;
+  this._high = null;
+  this._low = null;
+  // Whether the magnitude has dropped below the threshold since the last step
+  this._armed = false;
+};
+
+// Takes a sample and its timestamp in ms. Returns { steps, cadence } if it
+// completed a step, null otherwise. Cadence is in steps a minute.
+Pedometer.prototype.process = function(xyz, timestamp) {
+  var magnitude = Math.sqrt(xyz[0]*xyz[0] + xyz[1]*xyz[1] + xyz[2]*xyz[2]);
+
+  if (this._high === null) {
+    this._high = this._low = magnitude;
+    this._lastTime = timestamp;
+    return null;
+  }
+
+  // Decay the envelopes towards each other, then stretch them to the sample
+  var dt = Math.max(timestamp - this._lastTime, 0);
+  var decay = 1 - Math.exp(-dt / ENVELOPE_DECAY);
+  var middle = (this._high + this._low) / 2;
+  this._high += (middle - this._high) * decay;
+  this._low += (middle - this._low) * decay;
+  this._high = Math.max(this._high, magnitude);
+  this._low = Math.min(this._low, magnitude);
+  this._lastTime = timestamp;
+
+  var swing = this._high - this._low;
+  var threshold = (this._high + this._low) / 2;
+
+  // Too small a swing to be walking
+  if (swing < this.sensitivity) {
+    this._armed = false;
+    return null;
+  }
+
+  if (magnitude < threshold) {
+    this._armed = true;
+    return null;
+  }
+  if (!this._armed) {
+    return null;
+  }
+  this._armed = false;
+
+  // Faster than anyone walks or runs, so the same step bouncing
+  if (this._lastStep !== null && timestamp - this._lastStep < this.minInterval) {
+    return null;
+  }
+
+  if (this._lastStep !== null && timestamp - this._lastStep <= MAX_INTERVAL) {
+    this._intervals.push(timestamp - this._lastStep);
+    if (this._intervals.length > CADENCE_STEPS) {
+      this._intervals.shift();
+    }
+  }
+  else {
+    // A new walk
+    this._intervals = [];
+  }
+  this._lastStep = timestamp;
+  this.steps++;
+
+  var total = this._intervals.reduce(function(sum, interval) {
+    return sum + interval;
+  }, 0);
+  this.cadence = this._intervals.length ? 60000 * this._intervals.length / total : 0;
+
+  return { steps: this.steps, cadence: this.cadence };
+};
+
+module.exports = Pedometer;
@@ -0,0 +1,200 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// Records samples to CSV or JSON lines, and replays recordings through an
+// accelerometer's sample handling as if they had just been read.
+//
+// CSV recordings start with a comment line holding the metadata as JSON,
+// then a header line, then timestamp,sequence,x,y,z for each sample:
+//
+//   # accel-mma84 {"outputRate":12.5,"scaleRange":2,...}
+//   timestamp,sequence,x,y,z
+//   1400000000000,0,0.01,-0.02,0.99
+//
+// JSON lines recordings start with {"metadata":{...}}, then have a
+// {"timestamp","sequence","x","y","z"} object for each sample.
+
+var fs = require('fs');
+
+var CSV_HEADER = 'timestamp,sequence,x,y,z';
+var CSV_METADATA = '# accel-mma84 ';
+
+// Records every sample from accel to output, a path or a Writable stream.
+// options.format is 'csv' (default) or 'jsonl'.
+function Recorder (accel, output, options) {
+  options = options || {};
+
+  var format = options.format || 'csv';
+  if (format != 'csv' && format != 'jsonl') {
+    throw new Error("Recording format must be 'csv' or 'jsonl', not " + format);
+  }
+
+  this.accel = accel;
+  this.format = format;
+  // Streams opened here are closed here too
+  this.ownsOutput = typeof output == 'string';
+  this.output = this.ownsOutput ? fs.createWriteStream(output) : output;
+  this.count = 0;
+  this.metadata = {
+    outputRate: accel.outputRate,
+    scaleRange: accel.scaleRange,
+    resolution: accel.resolution,
+    chip: accel.chip ? accel.chip.name : null,
+    startedAt: Date.now()
+  };
+
+  if (format == 'csv') {
+    this.output.write(CSV_METADATA + JSON.stringify(this.metadata) + '\n' + CSV_HEADER + '\n');
+  }
+  else {
+    this.output.write(JSON.stringify({ metadata: this.metadata }) + '\n');
+  }
+
+  this._onSample = this._sample.bind(this);
+  accel.on('sample', this._onSample);
+
+  // Errors from a stream opened here, e.g. a missing directory, stop the recording
+  this.error = null;
+  if (this.ownsOutput) {
+    this.output.on('error', this._fail.bind(this));
+  }
+}
+
+Recorder.prototype._fail = function(err) {
+  this.error = err;
+  this.accel.removeListener('sample', this._onSample);
+  this.accel._failProcedure(err);
+};
+
+Recorder.prototype._sample = function(xyz, info) {
+  var line;
+
+  if (this.format == 'csv') {
+    line = [info.timestamp, info.sequence, xyz[0], xyz[1], xyz[2]].join(',');
+  }
+  else {
+    line = JSON.stringify({ timestamp: info.timestamp, sequence: info.sequence, x: xyz[0], y: xyz[1], z: xyz[2] });
+  }
+  this.count++;
+  this.output.write(line + '\n');
+};
+
+// Stops recording. Calls back once a file opened for the recording is closed, or with
+// the error writing it failed with.
+Recorder.prototype.stop = function(callback) {
+  var error = this.error;
+
+  this.accel.removeListener('sample', this._onSample);
+
+  if (error) {
+    if (callback) {
+      setImmediate(function() {
+        callback(error);
+      });
+    }
+  }
+  else if (this.ownsOutput) {
+    this.output.end(callback);
+  }
+  else if (callback) {
+    setImmediate(callback);
+  }
+};
+
+// Parses a recording in either format into { metadata, samples }, where each
+// sample is { xyz, info } as the 'sample' event gets them
+function parse(text) {
+  var metadata = {};
+  var samples = [];
+
+  String(text).split(/\r?\n/).forEach(function(line, number) {
+    line = line.trim();
+    if (!line || line == CSV_HEADER) {
+      return;
+    }
+
+    var fields;
+    if (line.indexOf(CSV_METADATA) === 0) {
+      metadata = JSON.parse(line.slice(CSV_METADATA.length));
+      return;
+    }
+    if (line[0] == '{') {
+      var entry = JSON.parse(line);
+      if (entry.metadata) {
+        metadata = entry.metadata;
+        return;
+      }
+      fields = [entry.timestamp, entry.sequence, entry.x, entry.y, entry.z];
+    }
+    else {
+      fields = line.split(',').map(Number);
+    }
+
+    if (fields.length != 5 || fields.some(function(field) { return typeof field != 'number' || isNaN(field); })) {
+      throw new Error('Line ' + (number + 1) + ' of the recording is not a sample: ' + line);
+    }
+    samples.push({ xyz: fields.slice(2), info: { timestamp: fields[0], sequence: fields[1] } });
+  });
+
+  return { metadata: metadata, samples: samples };
+}
+
+// Feeds recorded samples to accel one at a time, for the detectors to work at the
+// recorded output rate. With options.realTime (the default) samples are spaced out
+// as they were recorded, otherwise they go as fast as possible. Calls back with the number of samples replayed once done
+// or stopped. Returns an object with stop().
+function replay(accel, recording, options, callback) {
+  var samples = recording.samples;
+  var realTime = options.realTime !== false;
+  var stopped = false;
+  var timer = null;
+  var i = 0;
+
+  function finish() {
+    stopped = true;
+    callback(null, i);
+  }
+
+  function next() {
+    timer = null;
+    if (stopped) {
+      return;
+    }
+    if (i == samples.length) {
+      return finish();
+    }
+
+    var sample = samples[i++];
+    accel._handleSample(sample.xyz.slice(), { timestamp: sample.info.timestamp, sequence: sample.info.sequence },
+      recording.metadata.outputRate);
+
+    if (i == samples.length) {
+      return finish();
+    }
+    var delay = realTime ? Math.max(samples[i].info.timestamp - sample.info.timestamp, 0) : 0;
+    timer = realTime ? setTimeout(next, delay) : setImmediate(next);
+  }
+
+  setImmediate(next);
+
+  return {
+    stop: function() {
+      if (stopped) return;
+      if (timer) {
+        if (realTime) clearTimeout(timer);
+        else clearImmediate(timer);
+      }
+      finish();
+    }
+  };
+}
+
+exports.Recorder = Recorder;
+exports.parse = parse;
+exports.replay = replay;
@@ -0,0 +1,212 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// The MMA845x register map, and decoding of each register into named fields
+// for accel.readRegisters(). Field names follow the options of the methods
+// which set them where there is one. The tables of register values are shared
+// with index.js.
+
+var SOURCES = require('./interrupts').SOURCES;
+
+// Output rates selected by CTRL_REG1 DR[2:0]
+var OUTPUT_RATES = [800, 400, 200, 100, 50, 12.5, 6.25, 1.56];
+// Output rates while asleep, selected by CTRL_REG1 ASLP_RATE[1:0]
+var SLEEP_RATES = [50, 12.5, 6.25, 1.56];
+// Oversampling modes selected by CTRL_REG2 MODS[1:0] (and SMODS[1:0] while asleep)
+var POWER_MODES = ['normal', 'lowNoiseLowPower', 'highResolution', 'lowPower'];
+var SYSTEM_MODES = ['standby', 'wake', 'sleep'];
+
+// Portrait/landscape settings in degrees, indexed by their register values
+var PL_TRIP_ANGLES = { 0x07: 15, 0x09: 20, 0x0C: 30, 0x0D: 35, 0x0F: 40, 0x10: 45, 0x13: 55, 0x14: 60, 0x17: 70, 0x19: 75 };
+var PL_HYSTERESIS = [0, 4, 7, 11, 14, 17, 21, 24];
+var PL_Z_LOCKOUT = [14, 18, 21, 25, 29, 33, 37, 42];
+var PL_BACK_FRONT = [80, 75, 70, 65];
+// Orientations reported in PL_STATUS LAPO[1:0]
+var PL_ORIENTATIONS = ['portraitUp', 'portraitDown', 'landscapeRight', 'landscapeLeft'];
+
+// Offset register resolution in g per count. The registers hold -128 to 127 counts.
+var OFFSET_STEP = 0.002;
+// Freefall/motion, transient and pulse threshold resolution in g per count
+var THS_STEP = 0.063;
+
+// Functions which can wake the chip, as laid out in CTRL_REG3
+var WAKE_SOURCES = { freefallMotion: 0x08, pulse: 0x10, portraitLandscape: 0x20, transient: 0x40 };
+
+// Names of the bits set in value, out of an object of name to bit
+function flags(value, bits) {
+  return Object.keys(bits).filter(function(name) {
+    return (value & bits[name]) !== 0;
+  });
+}
+
+function count(value) {
+  return { count: value };
+}
+
+function threshold(value) {
+  return { debounceClear: (value & 0x80) !== 0, threshold: (value & 0x7F) * THS_STEP };
+}
+
+function offset(value) {
+  return { offset: (value > 0x7F ? value - 0x100 : value) * OFFSET_STEP };
+}
+
+// [address, name, decode, options] for every register, in address order. Reading
+// the registers marked clearsOnRead acknowledges the event they report.
+var REGISTERS = [
+  [0x00, 'STATUS', function(v) {
+    return { dataReady: flags(v, { x: 0x01, y: 0x02, z: 0x04 }), overwrite: flags(v, { x: 0x10, y: 0x20, z: 0x40 }) };
+  }],
+  [0x0B, 'SYSMOD', function(v) {
+    return { mode: SYSTEM_MODES[v & 0x03] };
+  }, { clearsOnRead: true }],
+  [0x0C, 'INT_SOURCE', function(v) {
+    return { sources: flags(v, SOURCES) };
+  }],
+  [0x0D, 'WHO_AM_I', function(v) {
+    return { id: v };
+  }],
+  [0x0E, 'XYZ_DATA_CFG', function(v) {
+    return { scaleRange: 2 << (v & 0x03), highPassOutput: (v & 0x10) !== 0 };
+  }],
+  [0x0F, 'HP_FILTER_CUTOFF', function(v) {
+    return { cutoff: v & 0x03, pulseHighPassBypass: (v & 0x20) !== 0, pulseLowPass: (v & 0x10) !== 0 };
+  }],
+  [0x10, 'PL_STATUS', function(v) {
+    return {
+      changed: (v & 0x80) !== 0,
+      lockout: (v & 0x40) !== 0,
+      orientation: PL_ORIENTATIONS[(v >> 1) & 0x03],
+      back: (v & 0x01) !== 0
+    };
+  }, { clearsOnRead: true }],
+  [0x11, 'PL_CFG', function(v) {
+    return { debounceClear: (v & 0x80) !== 0, enabled: (v & 0x40) !== 0 };
+  }],
+  [0x12, 'PL_COUNT', count],
+  [0x13, 'PL_BF_ZCOMP', function(v) {
+    return { backFrontTrip: PL_BACK_FRONT[(v >> 6) & 0x03], zLockout: PL_Z_LOCKOUT[v & 0x07] };
+  }],
+  [0x14, 'P_L_THS_REG', function(v) {
+    return { tripAngle: PL_TRIP_ANGLES[v >> 3], hysteresis: PL_HYSTERESIS[v & 0x07] };
+  }],
+  [0x15, 'FF_MT_CFG', function(v) {
+    return {
+      latch: (v & 0x80) !== 0,
+      mode: (v & 0x40) ? 'motion' : 'freefall',
+      axes: flags(v, { x: 0x08, y: 0x10, z: 0x20 })
+    };
+  }],
+  [0x16, 'FF_MT_SRC', function(v) {
+    return { event: (v & 0x80) !== 0, axes: flags(v, { x: 0x02, y: 0x08, z: 0x20 }) };
+  }, { clearsOnRead: true }],
+  [0x17, 'FF_MT_THS', threshold],
+  [0x18, 'FF_MT_COUNT', count],
+  [0x1D, 'TRANSIENT_CFG', function(v) {
+    return { latch: (v & 0x10) !== 0, highPassBypass: (v & 0x01) !== 0, axes: flags(v, { x: 0x02, y: 0x04, z: 0x08 }) };
+  }],
+  [0x1E, 'TRANSIENT_SRC', function(v) {
+    return { event: (v & 0x40) !== 0, axes: flags(v, { x: 0x02, y: 0x08, z: 0x20 }) };
+  }, { clearsOnRead: true }],
+  [0x1F, 'TRANSIENT_THS', threshold],
+  [0x20, 'TRANSIENT_COUNT', count],
+  [0x21, 'PULSE_CFG', function(v) {
+    return {
+      doubleAbort: (v & 0x80) !== 0,
+      latch: (v & 0x40) !== 0,
+      single: flags(v, { x: 0x01, y: 0x04, z: 0x10 }),
+      double: flags(v, { x: 0x02, y: 0x08, z: 0x20 })
+    };
+  }],
+  [0x22, 'PULSE_SRC', function(v) {
+    return { event: (v & 0x80) !== 0, double: (v & 0x08) !== 0, axes: flags(v, { x: 0x10, y: 0x20, z: 0x40 }) };
+  }, { clearsOnRead: true }],
+  [0x23, 'PULSE_THSX', threshold],
+  [0x24, 'PULSE_THSY', threshold],
+  [0x25, 'PULSE_THSZ', threshold],
+  [0x26, 'PULSE_TMLT', count],
+  [0x27, 'PULSE_LTCY', count],
+  [0x28, 'PULSE_WIND', count],
+  [0x29, 'ASLP_COUNT', count],
+  [0x2A, 'CTRL_REG1', function(v) {
+    return {
+      active: (v & 0x01) !== 0,
+      fastRead: (v & 0x02) !== 0,
+      lowNoise: (v & 0x04) !== 0,
+      outputRate: OUTPUT_RATES[(v >> 3) & 0x07],
+      sleepRate: SLEEP_RATES[v >> 6]
+    };
+  }],
+  [0x2B, 'CTRL_REG2', function(v) {
+    return {
+      selfTest: (v & 0x80) !== 0,
+      reset: (v & 0x40) !== 0,
+      sleepPowerMode: POWER_MODES[(v >> 3) & 0x03],
+      autoSleep: (v & 0x04) !== 0,
+      powerMode: POWER_MODES[v & 0x03]
+    };
+  }],
+  [0x2C, 'CTRL_REG3', function(v) {
+    return { wakeOn: flags(v, WAKE_SOURCES), activeHigh: (v & 0x02) !== 0, openDrain: (v & 0x01) !== 0 };
+  }],
+  [0x2D, 'CTRL_REG4', function(v) {
+    return { enabled: flags(v, SOURCES) };
+  }],
+  [0x2E, 'CTRL_REG5', function(v) {
+    // Sources not routed to INT1 go to INT2
+    return { int1: flags(v, SOURCES) };
+  }],
+  [0x2F, 'OFF_X', offset],
+  [0x30, 'OFF_Y', offset],
+  [0x31, 'OFF_Z', offset]
+];
+
+// Registers to read, leaving out those which clear events unless clearing is true
+function addresses(clearing) {
+  return REGISTERS.filter(function(register) {
+    return clearing || !(register[3] && register[3].clearsOnRead);
+  }).map(function(register) {
+    return register[0];
+  });
+}
+
+// Decodes an object of address to value into an object of register name to
+// { address, value } and the register's fields
+function decode(values) {
+  var map = {};
+
+  REGISTERS.forEach(function(register) {
+    var value = values[register[0]];
+    if (value === undefined) {
+      return;
+    }
+    var decoded = { address: register[0], value: value };
+    var fields = register[2](value);
+    for (var field in fields) {
+      decoded[field] = fields[field];
+    }
+    map[register[1]] = decoded;
+  });
+  return map;
+}
+
+exports.OUTPUT_RATES = OUTPUT_RATES;
+exports.SLEEP_RATES = SLEEP_RATES;
+exports.POWER_MODES = POWER_MODES;
+exports.PL_TRIP_ANGLES = PL_TRIP_ANGLES;
+exports.PL_HYSTERESIS = PL_HYSTERESIS;
+exports.PL_Z_LOCKOUT = PL_Z_LOCKOUT;
+exports.PL_BACK_FRONT = PL_BACK_FRONT;
+exports.PL_ORIENTATIONS = PL_ORIENTATIONS;
+exports.OFFSET_STEP = OFFSET_STEP;
+exports.THS_STEP = THS_STEP;
+exports.WAKE_SOURCES = WAKE_SOURCES;
+exports.REGISTERS = REGISTERS;
+exports.addresses = addresses;
+exports.decode = decode;
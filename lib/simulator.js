@@ -0,0 +1,962 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// A simulated Tessel port with an MMA8452Q attached to it. Pass a Port to
+// require('accel-mma84').use() in place of tessel.port['A'] to run the
+// driver (and its tests) without a board.
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+// MMA8452 registers modelled by the simulator
+var STATUS = 0x00;
+var OUT_X_MSB = 0x01;
+var OUT_Y_MSB = 0x03;
+var OUT_Z_MSB = 0x05;
+var OUT_Z_LSB = 0x06;
+var SYSMOD = 0x0B;
+var INT_SOURCE = 0x0C;
+var WHO_AM_I = 0x0D;
+var XYZ_DATA_CFG = 0x0E;
+var PL_STATUS = 0x10;
+var PL_CFG = 0x11;
+var PL_COUNT = 0x12;
+var PL_BF_ZCOMP = 0x13;
+var P_L_THS_REG = 0x14;
+var FF_MT_CFG = 0x15;
+var FF_MT_SRC = 0x16;
+var FF_MT_THS = 0x17;
+var FF_MT_COUNT = 0x18;
+var HP_FILTER_CUTOFF = 0x0F;
+var TRANSIENT_CFG = 0x1D;
+var TRANSIENT_SRC = 0x1E;
+var TRANSIENT_THS = 0x1F;
+var TRANSIENT_COUNT = 0x20;
+var PULSE_CFG = 0x21;
+var PULSE_SRC = 0x22;
+var PULSE_THSX = 0x23;
+var PULSE_TMLT = 0x26;
+var PULSE_LTCY = 0x27;
+var PULSE_WIND = 0x28;
+var ASLP_COUNT = 0x29;
+var CTRL_REG1 = 0x2A;
+var CTRL_REG2 = 0x2B;
+var CTRL_REG3 = 0x2C;
+var CTRL_REG4 = 0x2D;
+var CTRL_REG5 = 0x2E;
+var OFF_X = 0x2F;
+var REGISTER_COUNT = 0x32;
+
+// Registers which may be written while the part is active (datasheet, section 6)
+var ACTIVE_WRITABLE = [CTRL_REG1, CTRL_REG2];
+
+// Parts of the family the simulator can stand in for. Only the MMA8451Q can change
+// its portrait/landscape angles; on the others PL_BF_ZCOMP and P_L_THS_REG are read only.
+var MODELS = {
+  MMA8451Q: { whoAmI: 0x1A, resolution: 14, plAngles: true },
+  MMA8452Q: { whoAmI: 0x2A, resolution: 12, plAngles: false },
+  MMA8453Q: { whoAmI: 0x3A, resolution: 10, plAngles: false }
+};
+
+// Portrait/landscape settings in degrees, as encoded in the registers
+var PL_TRIP_ANGLES = { 0x07: 15, 0x09: 20, 0x0C: 30, 0x0D: 35, 0x0F: 40, 0x10: 45, 0x13: 55, 0x14: 60, 0x17: 70, 0x19: 75 };
+var PL_HYSTERESIS = [0, 4, 7, 11, 14, 17, 21, 24];
+var PL_Z_LOCKOUT = [14, 18, 21, 25, 29, 33, 37, 42];
+var PL_BACK_FRONT = [80, 75, 70, 65];
+
+// Output data rates selected by CTRL_REG1 DR[2:0]
+var OUTPUT_RATES = [800, 400, 200, 100, 50, 12.5, 6.25, 1.56];
+// Output data rates while asleep, selected by CTRL_REG1 ASLP_RATE[1:0]
+var SLEEP_RATES = [50, 12.5, 6.25, 1.56];
+// Lowest rate the detection engines run at for each oversampling mode, selected by MODS[1:0]:
+// normal, low noise low power, high resolution and low power
+var ENGINE_RATES = [50, 12.5, 400, 0];
+
+// Typical output change in g with the self test bit set, +44, +61 and +392 counts at 4g
+var SELF_TEST_CHANGE = [44 / 512, 61 / 512, 392 / 512];
+
+// Wake sources in CTRL_REG3, also used to flag activity of each function
+var WAKE_FF_MT = 0x08;
+var WAKE_PULSE = 0x10;
+var WAKE_LNDPRT = 0x20;
+var WAKE_TRANS = 0x40;
+
+// A GPIO on the simulated port. Emits 'low' and 'high' the same way a
+// Tessel pin does, including firing a newly added level listener right away
+// if the line is already at that level.
+function Pin (index) {
+  var self = this;
+
+  self.index = index;
+  self.level = 1;
+  // Times devices have driven the line high and low at once, see Port#_refresh
+  self.contention = 0;
+
+  self.on('newListener', function(event) {
+    if ((event == 'low' && self.level === 0) || (event == 'high' && self.level === 1)) {
+      setImmediate(function levelAlreadySet() {
+        if (self.level === (event == 'low' ? 0 : 1)) {
+          self.emit(event);
+        }
+      });
+    }
+  });
+}
+
+util.inherits(Pin, EventEmitter);
+
+Pin.prototype.read = function (callback) {
+  if (callback) callback(null, this.level);
+  return this.level;
+};
+
+Pin.prototype._drive = function (level) {
+  level = level ? 1 : 0;
+  if (level === this.level) {
+    return;
+  }
+  this.level = level;
+  this.emit('change', level);
+  this.emit(level ? 'rise' : 'fall');
+  this.emit(level ? 'high' : 'low');
+};
+
+// A simulated I2C handle as returned by port.I2C(address)
+function I2C (port, address) {
+  this.port = port;
+  this.address = address;
+}
+
+I2C.prototype.send = function (txbuf, callback) {
+  this.transfer(txbuf, 0, callback);
+};
+
+I2C.prototype.transfer = function (txbuf, rxlen, callback) {
+  var self = this;
+
+  setImmediate(function busTransfer() {
+    var device = self.port.devices[self.address];
+    // A glitch on the bus
+    if (self.port.glitches > 0) {
+      self.port.glitches--;
+      if (callback) callback(new Error('I2C transfer to 0x' + self.address.toString(16) + ' failed'));
+      return;
+    }
+    // Nobody acknowledged the address
+    if (!device) {
+      if (callback) callback(new Error('No I2C device responded at address 0x' + self.address.toString(16)));
+      return;
+    }
+
+    var rx;
+    try {
+      rx = device._transfer(txbuf, rxlen);
+    }
+    catch (err) {
+      if (callback) callback(err);
+      return;
+    }
+
+    if (callback) callback(null, rx);
+  });
+};
+
+// Register level model of the MMA8452Q and its siblings.
+//
+// options:
+//   model         'MMA8451Q', 'MMA8452Q' (default) or 'MMA8453Q'
+//   address       I2C address, 0x1D (default) or 0x1C
+//   acceleration  [x, y, z] in g (default [0, 0, 1]), an array of [x, y, z]
+//                 samples played back in order (the last one is held), or
+//                 function (t, device) returning [x, y, z] for time t in seconds
+//   noise         peak random noise added to every axis, in g (default 0)
+//   autoTick      produce samples on a timer at the output rate (default true).
+//                 When false, call device.tick() to produce each sample.
+//   selfTest      [x, y, z] change in g while the CTRL_REG2 self test bit is
+//                 set (default the datasheet's typical change)
+function MMA8452Q (options) {
+  options = options || {};
+
+  var self = this;
+
+  self.address = options.address !== undefined ? options.address : 0x1D;
+  self.model = options.model || 'MMA8452Q';
+  if (!MODELS[self.model]) {
+    throw new Error('Unknown model ' + self.model);
+  }
+  self.whoAmI = MODELS[self.model].whoAmI;
+  self.resolution = MODELS[self.model].resolution;
+  self.noise = options.noise || 0;
+  self.autoTick = options.autoTick !== false;
+  self.selfTest = options.selfTest || SELF_TEST_CHANGE;
+
+  // Which port pins the two interrupt outputs are wired to
+  self.int1Pin = options.int1Pin !== undefined ? options.int1Pin : 0;
+  self.int2Pin = options.int2Pin !== undefined ? options.int2Pin : 1;
+
+  // The port this device is attached to
+  self.port = null;
+
+  // Number of samples produced since the last reset
+  self.sampleCount = 0;
+  // Most recent acceleration in g, before quantization
+  self.current = [0, 0, 0];
+
+  // Levels driven onto the port pins, by pin index. Open drain outputs leave
+  // pins they don't pull low out.
+  self.levels = {};
+
+  // Debounce counters of the detection engines
+  self._debounce = { freefallMotion: 0, transient: 0, portraitLandscape: 0 };
+  // Whether the portrait/landscape engine has reported since it was enabled
+  self._plReported = false;
+  // Functions which detected something in the current sample, as CTRL_REG3 wake bits
+  self._activity = 0;
+  // Time in ms without activity, for auto-sleep
+  self._inactive = 0;
+  // State of the pulse engine
+  self._pulse = { state: 'idle' };
+  // Slowly tracked gravity, removed by the high pass filter
+  self._baseline = null;
+
+  self._timer = null;
+  self._script = null;
+  self._source = null;
+
+  self.setAcceleration(options.acceleration || [0, 0, 1]);
+  self.reset();
+}
+
+util.inherits(MMA8452Q, EventEmitter);
+
+// Put every register back to its power on value
+MMA8452Q.prototype.reset = function () {
+  this.registers = [];
+  for (var i = 0; i < REGISTER_COUNT; i++) {
+    this.registers[i] = 0;
+  }
+  this.registers[WHO_AM_I] = this.whoAmI;
+  // Portrait/landscape defaults: 75 degree back/front trip, 29 degree z lockout, 45 +/- 14 degrees
+  this.registers[PL_BF_ZCOMP] = 0x44;
+  this.registers[P_L_THS_REG] = 0x84;
+  this.sampleCount = 0;
+  this._debounce = { freefallMotion: 0, transient: 0, portraitLandscape: 0 };
+  this._plReported = false;
+  this._pulse = { state: 'idle' };
+  this._baseline = null;
+  this._reschedule();
+  this._updateInterrupts();
+};
+
+// Set what the simulated part is sensing. Accepts the same forms as
+// options.acceleration.
+MMA8452Q.prototype.setAcceleration = function (acceleration) {
+  this._script = null;
+  this._source = null;
+
+  if (typeof acceleration == 'function') {
+    this._source = acceleration;
+  }
+  else if (Array.isArray(acceleration) && Array.isArray(acceleration[0])) {
+    this._script = acceleration.slice();
+  }
+  else {
+    this.current = acceleration.slice();
+  }
+};
+
+// Whether the part is in active mode
+MMA8452Q.prototype.isActive = function () {
+  return (this.registers[CTRL_REG1] & 0x01) === 1;
+};
+
+// Whether auto-sleep has put the part to sleep
+MMA8452Q.prototype.isSleeping = function () {
+  return (this.registers[SYSMOD] & 0x03) == 2;
+};
+
+// Current output data rate in Hz, lower while asleep
+MMA8452Q.prototype.outputRate = function () {
+  if (this.isSleeping()) {
+    return SLEEP_RATES[this.registers[CTRL_REG1] >> 6];
+  }
+  return OUTPUT_RATES[(this.registers[CTRL_REG1] >> 3) & 0x07];
+};
+
+// Current full scale range in g
+MMA8452Q.prototype.scaleRange = function () {
+  return 2 << (this.registers[XYZ_DATA_CFG] & 0x03);
+};
+
+// Produce one sample now, as the part does once per output data period
+MMA8452Q.prototype.tick = function () {
+  var self = this;
+
+  var t = self.sampleCount / self.outputRate();
+
+  if (self._source) {
+    self.current = self._source(t, self).slice();
+  }
+  else if (self._script && self._script.length) {
+    self.current = self._script.shift().slice();
+  }
+
+  self.sampleCount++;
+
+  var sample = self.current.map(function (g, i) {
+    if (self.noise) {
+      g += (Math.random() * 2 - 1) * self.noise;
+    }
+    // User offsets in OFF_X, OFF_Y and OFF_Z are signed, 2 mg per count
+    var offset = self.registers[OFF_X + i];
+    g += (offset > 0x7F ? offset - 0x100 : offset) * 0.002;
+    // The self test deflects every axis
+    if (self.registers[CTRL_REG2] & 0x80) {
+      g += self.selfTest[i];
+    }
+    return g;
+  });
+
+  var filtered = self._highPass(sample);
+  self._activity = 0;
+
+  self._latch(sample);
+  self._freefallMotion(sample);
+  self._runPortraitLandscape(sample);
+  self._runTransient((self.registers[TRANSIENT_CFG] & 0x01) ? sample : filtered);
+  self._runPulse((self.registers[HP_FILTER_CUTOFF] & 0x20) ? sample : filtered);
+  self._autoSleep();
+  self._updateInterrupts();
+  self.emit('sample', sample);
+};
+
+// Time in ms that one count of a debounce counter lasts at the current rate
+MMA8452Q.prototype._debounceStep = function () {
+  return 1000 / this._engineRate();
+};
+
+// Rate the detection engines run at, which has a floor set by the oversampling mode,
+// MODS in CTRL_REG2 or SMODS while asleep
+MMA8452Q.prototype._engineRate = function () {
+  var mods = this.isSleeping() ? (this.registers[CTRL_REG2] >> 3) & 0x03 : this.registers[CTRL_REG2] & 0x03;
+  return Math.max(this.outputRate(), ENGINE_RATES[mods]);
+};
+
+// Debounce counts that elapse over one output data period
+MMA8452Q.prototype._debounceCounts = function () {
+  return Math.round((1000 / this.outputRate()) / this._debounceStep());
+};
+
+// High pass filter cutoff in Hz for the current rate and HP_FILTER_CUTOFF SEL bits
+MMA8452Q.prototype._cutoff = function () {
+  var base = 16 * Math.min(this._engineRate(), 400) / 400;
+  return base / (1 << (this.registers[HP_FILTER_CUTOFF] & 0x03));
+};
+
+// Removes gravity and other slow changes from a sample
+MMA8452Q.prototype._highPass = function (sample) {
+  if (!this._baseline) {
+    this._baseline = sample.slice();
+  }
+
+  var alpha = 1 - Math.exp(-2 * Math.PI * this._cutoff() / this.outputRate());
+  var out = [];
+  for (var i = 0; i < 3; i++) {
+    this._baseline[i] += (sample[i] - this._baseline[i]) * alpha;
+    out[i] = sample[i] - this._baseline[i];
+  }
+  return out;
+};
+
+// Runs the portrait/landscape engine over a sample. The y axis points to the top of the device,
+// x to its right and z out of its face.
+MMA8452Q.prototype._runPortraitLandscape = function (sample) {
+  var status = this.registers[PL_STATUS];
+
+  if (!(this.registers[PL_CFG] & 0x40)) {
+    this._debounce.portraitLandscape = 0;
+    return;
+  }
+
+  var x = sample[0], y = sample[1], z = sample[2];
+  var g = Math.sqrt(x*x + y*y + z*z) || 1;
+  var degrees = 180 / Math.PI;
+
+  var thsReg = this.registers[P_L_THS_REG];
+  var trip = PL_TRIP_ANGLES[thsReg >> 3] || 45;
+  var hysteresis = PL_HYSTERESIS[thsReg & 0x07];
+  var zLockout = PL_Z_LOCKOUT[this.registers[PL_BF_ZCOMP] & 0x07];
+  var backFront = PL_BACK_FRONT[this.registers[PL_BF_ZCOMP] >> 6];
+
+  // Start from the current state, NEWLP aside
+  var next = status & 0x47;
+
+  // Tilt of the face away from flat, 90 when upright
+  var elevation = Math.asin(Math.min(1, Math.sqrt(x*x + y*y) / g)) * degrees;
+  if (elevation < zLockout) {
+    next |= 0x40;
+  }
+  else {
+    next &= ~0x40;
+
+    // Angle of gravity away from the y axis, in the plane of the face
+    var fromY = Math.atan2(Math.abs(x), Math.abs(y)) * degrees;
+    var landscape = (status & 0x04) !== 0;
+    if (landscape ? fromY < trip - hysteresis : fromY <= trip + hysteresis) {
+      // Portrait up or down
+      next = (next & ~0x06) | (y >= 0 ? 0x00 : 0x02);
+    }
+    else {
+      // Landscape right or left
+      next = (next & ~0x06) | (x >= 0 ? 0x04 : 0x06);
+    }
+  }
+
+  // Angle of gravity from the face normal, 0 when lying face up
+  var fromZ = Math.acos(Math.max(-1, Math.min(1, z / g))) * degrees;
+  if (fromZ > 180 - backFront) {
+    next |= 0x01;
+  }
+  else if (fromZ < backFront) {
+    next &= ~0x01;
+  }
+
+  // The first evaluation after enabling always reports
+  if (next == (status & 0x47) && this._plReported) {
+    this._debounce.portraitLandscape = 0;
+    return;
+  }
+
+  this._debounce.portraitLandscape += this._debounceCounts();
+  if (this._debounce.portraitLandscape < this.registers[PL_COUNT]) return;
+
+  this._debounce.portraitLandscape = 0;
+  this._plReported = true;
+  this.registers[PL_STATUS] = next | 0x80;
+  this.registers[INT_SOURCE] |= 0x10;
+  this._activity |= WAKE_LNDPRT;
+};
+
+// Runs the transient engine over a (usually high pass filtered) sample
+MMA8452Q.prototype._runTransient = function (sample) {
+  var cfg = this.registers[TRANSIENT_CFG];
+
+  // No axes enabled
+  if (!(cfg & 0x0E)) return;
+
+  var threshold = (this.registers[TRANSIENT_THS] & 0x7F) * 0.063;
+  var src = 0;
+
+  for (var i = 0; i < 3; i++) {
+    if ((cfg & (0x02 << i)) && Math.abs(sample[i]) > threshold) {
+      src |= (0x02 << (i * 2));
+      if (sample[i] < 0) src |= (0x01 << (i * 2));
+    }
+  }
+
+  var latched = (cfg & 0x10) !== 0;
+
+  if (!src) {
+    this._debounce.transient = 0;
+    if (!latched) {
+      this.registers[TRANSIENT_SRC] = 0;
+      this.registers[INT_SOURCE] &= ~0x20;
+    }
+    return;
+  }
+
+  this._debounce.transient += this._debounceCounts();
+  if (this._debounce.transient < this.registers[TRANSIENT_COUNT]) return;
+
+  // A latched event holds its flags until TRANSIENT_SRC is read
+  if (!latched || !(this.registers[TRANSIENT_SRC] & 0x40)) {
+    this.registers[TRANSIENT_SRC] = 0x40 | src;
+  }
+  this.registers[INT_SOURCE] |= 0x20;
+  this._activity |= WAKE_TRANS;
+};
+
+// Runs the pulse engine over a (usually high pass filtered) sample
+MMA8452Q.prototype._runPulse = function (sample) {
+  var cfg = this.registers[PULSE_CFG];
+  var pulse = this._pulse;
+
+  // No single or double pulse enabled on any axis
+  if (!(cfg & 0x3F)) {
+    pulse.state = 'idle';
+    return;
+  }
+
+  // Time steps in ms, normal mode with the pulse low pass filter off
+  var step = 500 / this._engineRate();
+  var dt = 1000 / this.outputRate();
+  var timeLimit = this.registers[PULSE_TMLT] * step;
+  var latency = this.registers[PULSE_LTCY] * step * 2;
+  var pulseWindow = this.registers[PULSE_WIND] * step * 2;
+
+  // The enabled axis furthest over its threshold, if any
+  var axis = -1;
+  var peak = 0;
+  for (var i = 0; i < 3; i++) {
+    if (!(cfg & (0x03 << (i * 2)))) continue;
+    var over = Math.abs(sample[i]) - (this.registers[PULSE_THSX + i] & 0x7F) * 0.063;
+    if (over > 0 && over > peak) {
+      axis = i;
+      peak = over;
+    }
+  }
+
+  pulse.time = (pulse.time || 0) + dt;
+
+  switch (pulse.state) {
+    case 'idle':
+    case 'window':
+      if (pulse.state == 'window' && pulse.time > pulseWindow) {
+        pulse.state = 'idle';
+      }
+      if (axis != -1) {
+        pulse.second = pulse.state == 'window';
+        pulse.state = 'pulse';
+        pulse.axis = axis;
+        pulse.negative = sample[axis] < 0;
+        pulse.time = 0;
+      }
+      break;
+    case 'pulse':
+      // Still over the threshold
+      if (axis != -1) {
+        if (pulse.time > timeLimit) pulse.state = 'tooLong';
+        break;
+      }
+      var singleEnabled = (cfg & (0x01 << (pulse.axis * 2))) !== 0;
+      var doubleEnabled = (cfg & (0x02 << (pulse.axis * 2))) !== 0;
+      if (pulse.second) {
+        if (doubleEnabled) this._flagPulse(pulse, true);
+        pulse.state = 'idle';
+      }
+      else {
+        if (singleEnabled) this._flagPulse(pulse, false);
+        pulse.state = doubleEnabled ? 'latency' : 'idle';
+      }
+      pulse.time = 0;
+      break;
+    case 'tooLong':
+      if (axis == -1) pulse.state = 'idle';
+      break;
+    case 'latency':
+      if (pulse.time >= latency) {
+        pulse.state = 'window';
+        pulse.time = 0;
+      }
+      break;
+  }
+};
+
+// Records a detected pulse in PULSE_SRC
+MMA8452Q.prototype._flagPulse = function (pulse, isDouble) {
+  var latched = (this.registers[PULSE_CFG] & 0x40) !== 0;
+
+  // A latched event holds its flags until PULSE_SRC is read
+  if (!latched || !(this.registers[PULSE_SRC] & 0x80)) {
+    var src = 0x80 | (0x10 << pulse.axis);
+    if (isDouble) src |= 0x08;
+    if (pulse.negative) src |= (0x01 << pulse.axis);
+    this.registers[PULSE_SRC] = src;
+  }
+  this.registers[INT_SOURCE] |= 0x08;
+  this._activity |= WAKE_PULSE;
+};
+
+// Puts the part to sleep after ASLP_COUNT of inactivity, and wakes it on activity of a wake source
+MMA8452Q.prototype._autoSleep = function () {
+  // SLPE off
+  if (!(this.registers[CTRL_REG2] & 0x04)) {
+    this._inactive = 0;
+    if (this.isSleeping()) this._setSysmod(1);
+    return;
+  }
+
+  var active = (this._activity & this.registers[CTRL_REG3] & 0x78) !== 0;
+
+  if (this.isSleeping()) {
+    if (active) this._setSysmod(1);
+    return;
+  }
+
+  if (active) {
+    this._inactive = 0;
+    return;
+  }
+
+  // 320 ms per count, 640 ms at 1.56 Hz
+  this._inactive += 1000 / this.outputRate();
+  var step = this.outputRate() == 1.56 ? 640 : 320;
+  if (this._inactive >= this.registers[ASLP_COUNT] * step) {
+    this._setSysmod(2);
+  }
+};
+
+// Moves between standby (0), wake (1) and sleep (2), flagging auto-sleep transitions
+MMA8452Q.prototype._setSysmod = function (mode) {
+  var old = this.registers[SYSMOD] & 0x03;
+  if (mode == old) return;
+
+  this.registers[SYSMOD] = mode;
+  this._inactive = 0;
+  if (old !== 0 && mode !== 0) {
+    this.registers[INT_SOURCE] |= 0x80;
+  }
+  this._reschedule();
+};
+
+// Runs the freefall/motion engine over a sample
+MMA8452Q.prototype._freefallMotion = function (sample) {
+  var cfg = this.registers[FF_MT_CFG];
+
+  // No axes enabled
+  if (!(cfg & 0x38)) return;
+
+  var threshold = (this.registers[FF_MT_THS] & 0x7F) * 0.063;
+  var motion = (cfg & 0x40) !== 0;
+  // Motion is any enabled axis over the threshold, freefall is all of them under it
+  var detected = !motion;
+  var src = 0;
+
+  for (var i = 0; i < 3; i++) {
+    if (!(cfg & (0x08 << i))) continue;
+
+    var over = Math.abs(sample[i]) > threshold;
+    if (motion && over) {
+      detected = true;
+      src |= (0x02 << (i * 2));
+      if (sample[i] < 0) src |= (0x01 << (i * 2));
+    }
+    else if (!motion && over) {
+      detected = false;
+    }
+  }
+
+  var latched = (cfg & 0x80) !== 0;
+
+  if (!detected) {
+    this._debounce.freefallMotion = 0;
+    if (!latched) {
+      this.registers[FF_MT_SRC] = 0;
+      this.registers[INT_SOURCE] &= ~0x04;
+    }
+    return;
+  }
+
+  this._debounce.freefallMotion += this._debounceCounts();
+  if (this._debounce.freefallMotion < this.registers[FF_MT_COUNT]) return;
+
+  // A latched event holds its flags until FF_MT_SRC is read
+  if (!latched || !(this.registers[FF_MT_SRC] & 0x80)) {
+    this.registers[FF_MT_SRC] = 0x80 | src;
+  }
+  this.registers[INT_SOURCE] |= 0x04;
+  this._activity |= WAKE_FF_MT;
+};
+
+// Quantize a sample into the output registers and flag it in STATUS
+MMA8452Q.prototype._latch = function (sample) {
+  var range = this.scaleRange();
+  var status = this.registers[STATUS];
+
+  var bits = this.resolution;
+  var max = (1 << (bits - 1)) - 1;
+
+  for (var i = 0; i < 3; i++) {
+    // Two's complement, left aligned over the MSB and LSB registers
+    var counts = Math.round(sample[i] * (1 << (bits - 1)) / range);
+    counts = Math.max(-max - 1, Math.min(max, counts));
+    var raw = (counts & ((1 << bits) - 1)) << (16 - bits);
+
+    this.registers[OUT_X_MSB + i*2] = raw >> 8;
+    this.registers[OUT_X_MSB + i*2 + 1] = raw & 0xFF;
+
+    // Flag an overwrite if the previous sample on this axis was never read
+    if (status & (1 << i)) {
+      status |= (0x10 << i);
+    }
+    status |= (1 << i);
+  }
+
+  // ZYXDR and ZYXOW summarize the per axis flags
+  status |= 0x08;
+  if (status & 0x70) status |= 0x80;
+
+  this.registers[STATUS] = status;
+  this.registers[INT_SOURCE] |= 0x01;
+};
+
+// Drive INT1 and INT2 from the pending interrupt sources
+MMA8452Q.prototype._updateInterrupts = function () {
+  if (!this.port) return;
+
+  var pending = this.registers[INT_SOURCE] & this.registers[CTRL_REG4];
+  var routing = this.registers[CTRL_REG5];
+  // IPOL set means active high, otherwise the lines are active low
+  var activeHigh = (this.registers[CTRL_REG3] & 0x02) !== 0;
+  // PP_OD set means open drain, which can only pull a line low
+  var openDrain = (this.registers[CTRL_REG3] & 0x01) !== 0;
+
+  var int1 = (pending & routing) !== 0;
+  var int2 = (pending & ~routing) !== 0;
+
+  // Levels this device puts on each of the pins it is wired to
+  var levels = this.levels = {};
+  [[this.int1Pin, int1], [this.int2Pin, int2]].forEach(function (line) {
+    var level = (activeHigh ? line[1] : !line[1]) ? 1 : 0;
+    if (level === 0 || !openDrain) {
+      levels[line[0]] = level;
+    }
+  });
+
+  this.port._refresh();
+};
+
+// Start or stop the sample timer to match the current mode and rate
+MMA8452Q.prototype._reschedule = function () {
+  var self = this;
+
+  if (self._timer) {
+    clearInterval(self._timer);
+    self._timer = null;
+  }
+
+  if (self.autoTick && self.port && self.isActive()) {
+    self._timer = setInterval(function sampleTimer() {
+      self.tick();
+    }, 1000 / self.outputRate());
+  }
+};
+
+// Handle a raw bus transaction: the first byte written selects the
+// register, any further bytes are written from there, then rxlen bytes are
+// read back with auto increment.
+MMA8452Q.prototype._transfer = function (txbuf, rxlen) {
+  var register = txbuf[0];
+  var i;
+
+  for (i = 1; i < txbuf.length; i++) {
+    this._write(register++, txbuf[i]);
+  }
+
+  var rx = new Buffer(rxlen);
+  for (i = 0; i < rxlen; i++) {
+    rx[i] = this._read(register);
+    register = this._nextReadAddress(register);
+  }
+
+  this._updateInterrupts();
+
+  return rx;
+};
+
+MMA8452Q.prototype._nextReadAddress = function (register) {
+  // In fast read mode (F_READ) reads skip the LSBs and roll over after OUT_Z_MSB
+  if (this.registers[CTRL_REG1] & 0x02) {
+    if (register == OUT_X_MSB || register == OUT_Y_MSB) return register + 2;
+    if (register == OUT_Z_MSB) return STATUS;
+  }
+  // Reads roll over from the end of the data registers back to STATUS
+  if (register == OUT_Z_LSB) return STATUS;
+  return (register + 1) % REGISTER_COUNT;
+};
+
+MMA8452Q.prototype._read = function (register) {
+  if (register >= REGISTER_COUNT) {
+    throw new Error('Read from reserved register 0x' + register.toString(16));
+  }
+
+  var value = this.registers[register];
+
+  // Reading the data clears the data ready flags for that axis
+  if (register >= OUT_X_MSB && register <= OUT_Z_LSB && (register - OUT_X_MSB) % 2 === 0) {
+    var axis = (register - OUT_X_MSB) / 2;
+    this.registers[STATUS] &= ~((1 << axis) | (0x10 << axis));
+    if ((this.registers[STATUS] & 0x07) === 0) {
+      this.registers[STATUS] = 0;
+      this.registers[INT_SOURCE] &= ~0x01;
+    }
+  }
+
+  // Reading the source register clears a latched freefall/motion event
+  if (register == FF_MT_SRC && (this.registers[FF_MT_CFG] & 0x80)) {
+    this.registers[FF_MT_SRC] = 0;
+    this.registers[INT_SOURCE] &= ~0x04;
+  }
+
+  // Reading the system mode clears the auto-sleep interrupt
+  if (register == SYSMOD) {
+    this.registers[INT_SOURCE] &= ~0x80;
+  }
+
+  // Reading the status clears the new orientation flag
+  if (register == PL_STATUS) {
+    this.registers[PL_STATUS] &= ~0x80;
+    this.registers[INT_SOURCE] &= ~0x10;
+  }
+
+  // Reading the source register clears a latched transient event
+  if (register == TRANSIENT_SRC && (this.registers[TRANSIENT_CFG] & 0x10)) {
+    this.registers[TRANSIENT_SRC] = 0;
+    this.registers[INT_SOURCE] &= ~0x20;
+  }
+
+  // Reading the source register clears a pulse event
+  if (register == PULSE_SRC) {
+    this.registers[PULSE_SRC] = 0;
+    this.registers[INT_SOURCE] &= ~0x08;
+  }
+
+  return value;
+};
+
+MMA8452Q.prototype._write = function (register, value) {
+  if (register >= REGISTER_COUNT) {
+    throw new Error('Write to reserved register 0x' + register.toString(16));
+  }
+
+  // Read only registers silently ignore writes
+  if (register <= WHO_AM_I) {
+    return;
+  }
+  if ((register == PL_BF_ZCOMP || register == P_L_THS_REG) && !MODELS[this.model].plAngles) {
+    return;
+  }
+
+  // Most configuration can only be changed in standby
+  if (this.isActive() && ACTIVE_WRITABLE.indexOf(register) === -1) {
+    this.emit('ignoredWrite', register, value);
+    return;
+  }
+
+  var wasActive = this.isActive();
+  var oldRate = this.outputRate();
+
+  this.registers[register] = value & 0xFF;
+
+  // Enabling the portrait/landscape engine starts it afresh
+  if (register == PL_CFG) {
+    this._plReported = false;
+  }
+
+  // Software reset
+  if (register == CTRL_REG2 && (value & 0x40)) {
+    this.reset();
+    return;
+  }
+
+  if (register == CTRL_REG1 && wasActive != this.isActive()) {
+    // Active mode always starts awake
+    this._setSysmod(this.isActive() ? 1 : 0);
+  }
+  else if (register == CTRL_REG1 && oldRate != this.outputRate()) {
+    this._reschedule();
+  }
+};
+
+// Stop producing samples
+MMA8452Q.prototype.close = function () {
+  if (this._timer) {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+};
+
+// A simulated Tessel module port. Provides I2C() and digital[] like
+// tessel.port['A'] and routes bus traffic to the attached devices.
+//
+// options are passed on to the MMA8452Q created on the port, unless
+// options.device is false in which case the port starts empty.
+function Port (options) {
+  options = options || {};
+
+  this.devices = {};
+  // Number of transfers still to fail, see glitch
+  this.glitches = 0;
+  this.digital = [new Pin(0), new Pin(1), new Pin(2)];
+
+  if (options.device !== false) {
+    this.device = this.attach(new MMA8452Q(options));
+  }
+}
+
+// Connect a device to the bus and its interrupt pins
+Port.prototype.attach = function (device) {
+  if (this.devices[device.address]) {
+    throw new Error('An I2C device is already attached at address 0x' + device.address.toString(16));
+  }
+  this.devices[device.address] = device;
+  device.port = this;
+  device._reschedule();
+  device._updateInterrupts();
+  return device;
+};
+
+// Disconnect a device, as if it were unplugged
+Port.prototype.detach = function (device) {
+  delete this.devices[device.address];
+  device.close();
+  device.port = null;
+  device.levels = {};
+  this._refresh();
+  return device;
+};
+
+// Make the next count transfers on the bus fail
+Port.prototype.glitch = function (count) {
+  this.glitches += count;
+};
+
+Port.prototype.I2C = function (address) {
+  return new I2C(this, address);
+};
+
+// Pins are pulled up, so a line nothing drives is high. A push-pull output driving a
+// line high while another device pulls it low is a short: the line is counted in
+// pin.contention and keeps its level, so interrupts on it go missing.
+Port.prototype._refresh = function () {
+  var self = this;
+
+  self.digital.forEach(function (pin, index) {
+    var low = false;
+    var high = false;
+    Object.keys(self.devices).forEach(function (address) {
+      var level = self.devices[address].levels[index];
+      if (level === 0) {
+        low = true;
+      }
+      else if (level === 1) {
+        high = true;
+      }
+    });
+    if (low && high) {
+      pin.contention++;
+      return;
+    }
+    pin._drive(low ? 0 : 1);
+  });
+};
+
+// Stop every device on the port
+Port.prototype.close = function () {
+  var self = this;
+  Object.keys(self.devices).forEach(function (address) {
+    self.devices[address].close();
+  });
+};
+
+exports.MODELS = MODELS;
+exports.Pin = Pin;
+exports.I2C = I2C;
+exports.MMA8452Q = MMA8452Q;
+exports.Port = Port;
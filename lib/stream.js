@@ -0,0 +1,98 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// A Readable stream of samples. It listens for 'sample' events only while
+// the consumer wants more, so data interrupts are on while the stream flows
+// and off while it is paused or once it has ended.
+
+var util = require('util');
+var Readable = require('stream').Readable;
+
+// Bytes per sample in binary mode: x, y and z as little endian Float32, then t as a
+// Float64, which holds whole ms for far longer than a stream will run
+var BINARY_SAMPLE_SIZE = 20;
+
+// options.binary packs samples into Buffers instead of pushing { x, y, z, t }
+// objects. options.samples ends the stream after that many samples.
+function SampleStream (accel, options) {
+  var self = this;
+
+  options = options || {};
+
+  Readable.call(self, {
+    objectMode: !options.binary,
+    // Buffer roughly the same number of samples in either mode
+    highWaterMark: options.binary ? 16 * BINARY_SAMPLE_SIZE : 16
+  });
+
+  self.accel = accel;
+  self.binary = !!options.binary;
+  self.remaining = options.samples || Infinity;
+  // t of each sample is in ms since the stream started
+  self.start = Date.now();
+  self._listening = false;
+  self._onSample = self._sample.bind(self);
+}
+
+util.inherits(SampleStream, Readable);
+
+// Called by Readable when the consumer wants more samples
+SampleStream.prototype._read = function() {
+  this._listen(true);
+};
+
+// Adds or removes the sample listener, which turns data interrupts on or off
+SampleStream.prototype._listen = function(listen) {
+  if (listen == this._listening) return;
+  this._listening = listen;
+
+  if (listen) {
+    this.accel.on('sample', this._onSample);
+  }
+  else {
+    this.accel.removeListener('sample', this._onSample);
+  }
+};
+
+SampleStream.prototype._sample = function(xyz, info) {
+  var t = info.timestamp - this.start;
+  var chunk;
+
+  if (this.binary) {
+    chunk = new Buffer(BINARY_SAMPLE_SIZE);
+    chunk.writeFloatLE(xyz[0], 0);
+    chunk.writeFloatLE(xyz[1], 4);
+    chunk.writeFloatLE(xyz[2], 8);
+    chunk.writeDoubleLE(t, 12);
+  }
+  else {
+    chunk = { x: xyz[0], y: xyz[1], z: xyz[2], t: t };
+  }
+
+  this.remaining--;
+  var more = this.push(chunk);
+
+  if (this.remaining <= 0) {
+    this._listen(false);
+    this.push(null);
+  }
+  // Stop listening until the consumer catches up
+  else if (!more) {
+    this._listen(false);
+  }
+};
+
+SampleStream.prototype._destroy = function(err, callback) {
+  this._listen(false);
+  callback(err);
+};
+
+SampleStream.BINARY_SAMPLE_SIZE = BINARY_SAMPLE_SIZE;
+
+module.exports = SampleStream;
@@ -0,0 +1,188 @@
+// Copyright 2014 Technical Machine, Inc. See the COPYRIGHT
+// file at the top-level directory of this distribution.
+//
+// Licensed under the Apache License, Version 2.0 <LICENSE-APACHE or
+// http://www.apache.org/licenses/LICENSE-2.0> or the MIT license
+// <LICENSE-MIT or http://opensource.org/licenses/MIT>, at your
+// option. This file may not be copied, modified, or distributed
+// except according to those terms.
+
+// Vibration analysis over a sliding window of samples: RMS and peak-to-peak on
+// each axis, and an FFT amplitude spectrum from which the dominant frequency
+// and the level in each frequency band are found.
+
+var AXES = ['x', 'y', 'z'];
+
+// In place radix-2 FFT of re and im, whose length must be a power of two
+function fft(re, im) {
+  var n = re.length;
+  var i, j, k;
+
+  // Bit reversal permutation
+  for (i = 1, j = 0; i < n; i++) {
+    var bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      var t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  for (var size = 2; size <= n; size <<= 1) {
+    var angle = -2 * Math.PI / size;
+    for (i = 0; i < n; i += size) {
+      for (k = 0; k < size / 2; k++) {
+        var cos = Math.cos(angle * k);
+        var sin = Math.sin(angle * k);
+        var a = i + k;
+        var b = a + size / 2;
+        var tre = re[b] * cos - im[b] * sin;
+        var tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+// Amplitude in g of each frequency from 0 to half the sample rate, for samples
+// with their mean taken away. A Hann window keeps peaks from leaking into
+// neighbouring bins.
+function spectrum(samples) {
+  var n = samples.length;
+  var re = new Float64Array(n);
+  var im = new Float64Array(n);
+
+  for (var i = 0; i < n; i++) {
+    re[i] = samples[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+  }
+  fft(re, im);
+
+  var amplitudes = new Float32Array(n / 2 + 1);
+  for (i = 0; i <= n / 2; i++) {
+    // The window halves the amplitude, and a real signal splits it between
+    // positive and negative frequencies
+    amplitudes[i] = 4 * Math.sqrt(re[i]*re[i] + im[i]*im[i]) / n;
+  }
+  return amplitudes;
+}
+
+// options.size is the number of samples analyzed, a power of two (default 64).
+// options.interval is the time between reports in ms (default 1000).
+// options.bands lists { name, from, to, threshold } frequency bands in Hz,
+// alerting when the RMS level in a band goes over threshold g on any axis.
+function VibrationAnalyzer (options) {
+  options = options || {};
+
+  var size = options.size || 64;
+  if (size < 4 || (size & (size - 1))) {
+    throw new Error('Vibration window size must be a power of two, 4 or larger');
+  }
+
+  this.size = size;
+  this.interval = options.interval || 1000;
+  this.bands = options.bands || [];
+  this.reset();
+}
+
+VibrationAnalyzer.prototype.reset = function() {
+  this.samples = [];
+  this.rate = null;
+  this.lastReport = null;
+};
+
+// Takes a sample, its timestamp in ms and the output rate in Hz. Returns
+// { report, alerts } when a report is due, null otherwise.
+VibrationAnalyzer.prototype.process = function(xyz, timestamp, rate) {
+  // Samples at another rate can't be analyzed together
+  if (rate != this.rate) {
+    this.reset();
+    this.rate = rate;
+  }
+
+  this.samples.push(xyz);
+  if (this.samples.length > this.size) {
+    this.samples.shift();
+  }
+
+  if (this.samples.length < this.size) {
+    return null;
+  }
+  if (this.lastReport !== null && timestamp - this.lastReport < this.interval) {
+    return null;
+  }
+  this.lastReport = timestamp;
+
+  return this.analyze(timestamp);
+};
+
+// Analyzes the samples in the window
+VibrationAnalyzer.prototype.analyze = function(timestamp) {
+  var self = this;
+  var resolution = self.rate / self.size;
+  var report = { timestamp: timestamp, rate: self.rate, resolution: resolution, dominant: null, bands: [] };
+  var alerts = [];
+
+  AXES.forEach(function(axis, a) {
+    var values = self.samples.map(function(sample) {
+      return sample[a];
+    });
+    var mean = values.reduce(function(sum, g) { return sum + g; }, 0) / values.length;
+    var centered = values.map(function(g) { return g - mean; });
+
+    var rms = Math.sqrt(centered.reduce(function(sum, g) { return sum + g * g; }, 0) / centered.length);
+    var amplitudes = spectrum(centered);
+
+    // Strongest frequency, leaving out what's left of the mean at 0 Hz
+    var peak = 1;
+    for (var k = 2; k < amplitudes.length; k++) {
+      if (amplitudes[k] > amplitudes[peak]) peak = k;
+    }
+    var dominant = { frequency: peak * resolution, amplitude: amplitudes[peak] };
+
+    report[axis] = {
+      rms: rms,
+      peakToPeak: Math.max.apply(null, values) - Math.min.apply(null, values),
+      spectrum: amplitudes,
+      dominant: dominant
+    };
+
+    if (!report.dominant || dominant.amplitude > report.dominant.amplitude) {
+      report.dominant = { axis: axis, frequency: dominant.frequency, amplitude: dominant.amplitude };
+    }
+  });
+
+  self.bands.forEach(function(band) {
+    var levels = {};
+    AXES.forEach(function(axis) {
+      // RMS of the band's sine waves, each of which has an RMS of amplitude / sqrt(2)
+      var power = 0;
+      var amplitudes = report[axis].spectrum;
+      for (var k = 1; k < amplitudes.length; k++) {
+        var frequency = k * resolution;
+        if (frequency >= band.from && frequency <= band.to) {
+          power += amplitudes[k] * amplitudes[k] / 2;
+        }
+      }
+      // The window spreads each sine over its neighbouring bins, adding half again to the power
+      levels[axis] = Math.sqrt(power / 1.5);
+
+      if (band.threshold !== undefined && levels[axis] > band.threshold) {
+        alerts.push({ band: band.name, axis: axis, level: levels[axis], threshold: band.threshold });
+      }
+    });
+    report.bands.push({ name: band.name, from: band.from, to: band.to, levels: levels });
+  });
+
+  return { report: report, alerts: alerts };
+};
+
+VibrationAnalyzer.fft = fft;
+VibrationAnalyzer.spectrum = spectrum;
+
+module.exports = VibrationAnalyzer;
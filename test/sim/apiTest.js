@@ -0,0 +1,106 @@
+// Runs the driver against the simulated port in lib/simulator.js, no Tessel required.
+
+var test = require('tinytap');
+
+test.count(22);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0.5, -0.25, 1] });
+var accel;
+
+test('Connecting to simulated accelerometer', function (t) {
+  accel = accelLib.use(port, function (err, accel) {
+    t.ok(!err, 'there was an error connecting');
+    t.ok(accel, 'the accelerometer module object was not returned');
+    accel.once('ready', function () {
+      t.ok(port.device.isActive(), 'device should be active after init');
+      t.equal(port.device.outputRate(), 12.5, 'default output rate should be 12.5 Hz');
+      t.equal(port.device.scaleRange(), 2, 'default scale range should be 2g');
+      t.end();
+    });
+  });
+  accel.on('error', function (err) {
+    t.ok(false, 'error caught: ' + err);
+    t.end();
+  });
+});
+
+test('getAcceleration', function (t) {
+  port.device.tick();
+  accel.getAcceleration(function (err, xyz) {
+    t.ok(!err, 'there was an error reading');
+    t.equal(xyz[0], 0.5, 'x should read back as 0.5g');
+    t.equal(xyz[1], -0.25, 'y should read back as -0.25g');
+    t.equal(xyz[2], 1, 'z should read back as 1g');
+    t.end();
+  });
+});
+
+test('setScaleRange', function (t) {
+  port.device.setAcceleration([3, -3, 0]);
+  accel.setScaleRange(4, function (err) {
+    t.ok(!err, 'there was an error setting the scale range');
+    t.equal(port.device.scaleRange(), 4, 'device should be at 4g');
+    t.ok(port.device.isActive(), 'device should be active again');
+    port.device.tick();
+    accel.getAcceleration(function (err, xyz) {
+      t.equal(xyz[0], 3, 'x should read back as 3g');
+      t.equal(xyz[1], -3, 'y should read back as -3g');
+      port.device.setAcceleration([0, 0, 1]);
+      t.end();
+    });
+  });
+});
+
+test('setOutputRate', function (t) {
+  accel.setOutputRate(105, function (err) {
+    t.ok(!err, 'there was an error setting the output rate');
+    t.equal(accel.outputRate, 100, 'rate should round down to 100 Hz');
+    t.equal(port.device.outputRate(), 100, 'device should be at 100 Hz');
+    t.end();
+  });
+});
+
+test('data events follow the data interrupt', function (t) {
+  var start = port.device.sampleCount;
+  accel.once('data', function (xyz) {
+    t.equal(xyz.length, 3, 'there should be three values in a reading');
+    t.ok(port.device.sampleCount > start, 'data should come from a new sample');
+    t.end();
+  });
+});
+
+test('shake', function (t) {
+  accel.setShakeThreshold(1.5);
+  port.device.setAcceleration([2, 0, 1]);
+  accel.once('shake', function (mag) {
+    t.ok(mag >= 1.5, 'shake magnitude should be over the threshold');
+    port.device.setAcceleration([0, 0, 1]);
+    t.end();
+  });
+});
+
+test('orientation', function (t) {
+  accel.setSampleBufferLength(4);
+  port.device.setAcceleration([0, -1, 0]);
+  accel.on('orientation', function listener(orientation, name) {
+    if (orientation == accel.orientation.YDOWN) {
+      accel.removeListener('orientation', listener);
+      t.equal(name, 'y down', 'orientation name should be y down');
+      t.end();
+    }
+  });
+});
+
+test('data interrupts disabled', function (t) {
+  accel.removeAllListeners('data');
+  accel.removeAllListeners('shake');
+  accel.removeAllListeners('orientation');
+  accel.enableDataInterrupts(false, function () {
+    t.equal(port.device.registers[0x2D] & 0x01, 0, 'data ready interrupt should be disabled');
+    port.close();
+    t.end();
+  });
+});
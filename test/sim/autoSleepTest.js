@@ -0,0 +1,64 @@
+// Auto-sleep and wake on motion
+
+var test = require('tinytap');
+
+test.count(12);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port);
+
+test('configureAutoSleep', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100);
+    accel.configureMotion({ threshold: 1.5 });
+    accel.configureAutoSleep({ sleepRate: 40, timeout: 600, wakeOn: ['freefallMotion'] }, function (err) {
+      t.ok(!err, 'there was an error configuring auto-sleep');
+      t.equal(accel.sleepRate, 12.5, 'sleep rate should round down to 12.5 Hz');
+      t.equal(port.device.registers[0x29], 2, 'ASLP_COUNT should be 600ms in 320ms steps');
+      t.equal(port.device.registers[0x2C] & 0x78, 0x08, 'CTRL_REG3 should wake on freefall/motion only');
+      t.end();
+    });
+  });
+});
+
+test('sleep after inactivity', function (t) {
+  accel.once('sleep', function () {
+    t.ok(accel.sleeping, 'accelerometer should be marked as sleeping');
+    t.equal(accel.outputRate, 12.5, 'outputRate should show the sleep rate');
+    t.equal(port.device.outputRate(), 12.5, 'device should run at the sleep rate');
+    t.end();
+  });
+});
+
+test('changing settings while asleep', function (t) {
+  var woke = false;
+  function onWake() {
+    woke = true;
+  }
+  accel.on('wake', onWake);
+  accel.setScaleRange(4, function (err) {
+    accel.removeListener('wake', onWake);
+    t.equal(woke, false, 'coming out of standby should not emit wake');
+    t.equal(accel.outputRate, 100, 'outputRate should be back to the wake rate');
+    t.end();
+  });
+});
+
+test('wake on motion', function (t) {
+  accel.once('sleep', function () {
+    port.device.setAcceleration([2, 0, 1]);
+  });
+  accel.once('wake', function () {
+    t.equal(accel.outputRate, 100, 'outputRate should be back to the wake rate');
+    port.device.setAcceleration([0, 0, 1]);
+    accel.configureAutoSleep(false, function (err) {
+      t.ok(!err, 'there was an error turning auto-sleep off');
+      t.equal(port.device.registers[0x2B] & 0x04, 0, 'SLPE should be cleared');
+      port.close();
+      t.end();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// Batched sample delivery
+
+var test = require('tinytap');
+
+test.count(9);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0.5, -0.25, 1] });
+var accel = accelLib.use(port);
+
+test('batches by size', function (t) {
+  var samples = 0;
+  function countSample() {
+    samples++;
+  }
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function () {
+      accel.setBatch({ size: 4, sampleEvents: false });
+      accel.on('sample', countSample);
+      accel.once('batch', function (batch) {
+        t.equal(batch.length, 4, 'the batch should hold four samples');
+        t.ok(batch.x instanceof Float32Array, 'axes should be typed arrays');
+        t.equal(batch.y[3], -0.25, 'y should be in the batch');
+        t.equal(batch.timestamps.length, 4, 'there should be a timestamp per sample');
+        t.equal(samples, 0, 'there should be no sample events');
+        accel.removeListener('sample', countSample);
+        t.end();
+      });
+    });
+  });
+});
+
+test('batches by time window', function (t) {
+  var samples = 0;
+  function countSample() {
+    samples++;
+  }
+  accel.setBatch({ interval: 50 });
+  accel.on('sample', countSample);
+  accel.once('batch', function (batch) {
+    t.ok(batch.timestamps[batch.length - 1] - batch.timestamps[0] >= 50, 'the batch should span the window');
+    t.ok(samples >= batch.length - 1, 'sample events should still be emitted');
+    accel.removeListener('sample', countSample);
+    t.end();
+  });
+});
+
+test('batching off', function (t) {
+  accel.setBatch(false);
+  accel.removeAllListeners('batch');
+  accel.once('sample', function (xyz, info) {
+    t.ok(info.sequence > 0, 'samples should carry on after batching');
+    t.equal(accel._batch, null, 'there should be no batch collecting');
+    port.close();
+    t.end();
+  });
+});
@@ -0,0 +1,71 @@
+// Offset calibration and calibration profiles
+
+var test = require('tinytap');
+
+test.count(11);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+// A board which reads a little off on every axis
+var bias = [0.03, -0.02, 1.04];
+
+var port = new simulator.Port({ acceleration: bias });
+var accel = accelLib.use(port);
+accel.on('error', function () {});
+var saved;
+
+function close(xyz, expected) {
+  return xyz.every(function (g, i) {
+    return Math.abs(g - expected[i]) < 0.005;
+  });
+}
+
+test('calibrate', function (t) {
+  accel.once('ready', function () {
+    accel.calibrate({ samples: 4 }, function (err, profile) {
+      t.ok(!err, 'there was an error calibrating');
+      t.ok(Math.abs(profile.x + 0.03) < 0.002, 'x offset should cancel the bias');
+      t.equal(port.device.registers[0x31], (-20) & 0xFF, 'OFF_Z should hold -40mg in 2mg counts');
+      port.device.tick();
+      accel.getAcceleration(function (err, xyz) {
+        t.ok(close(xyz, [0, 0, 1]), 'readings should be corrected to lying flat');
+        t.end();
+      });
+    });
+  });
+});
+
+test('getCalibration', function (t) {
+  accel.getCalibration(function (err, profile) {
+    t.ok(!err, 'there was an error reading the calibration');
+    t.ok(close([profile.x, profile.y, profile.z], [-0.03, 0.02, -0.04]), 'profile should match the offsets written');
+    saved = JSON.parse(JSON.stringify(profile));
+    t.end();
+  });
+});
+
+test('setCalibration rejects offsets out of range', function (t) {
+  accel.setCalibration({ x: 0.5, y: 0, z: 0 }, function (err) {
+    t.ok(err, 'a 0.5g offset should be refused');
+    t.ok(port.device.isActive(), 'the chip should stay active');
+    port.close();
+    t.end();
+  });
+});
+
+test('calibration option applies a profile during init', function (t) {
+  var port2 = new simulator.Port({ acceleration: bias });
+  accelLib.use(port2, { calibration: saved }, function (err, accel2) {
+    t.ok(!err, 'there was an error connecting with a calibration');
+    accel2.once('ready', function () {
+      t.equal(port2.device.registers[0x2F], (-15) & 0xFF, 'OFF_X should be set before ready');
+      port2.device.tick();
+      accel2.getAcceleration(function (err, xyz) {
+        t.ok(close(xyz, [0, 0, 1]), 'readings should be corrected from the start');
+        port2.close();
+        t.end();
+      });
+    });
+  });
+});
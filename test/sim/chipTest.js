@@ -0,0 +1,50 @@
+// Detection of the MMA8451Q, MMA8452Q and MMA8453Q
+
+var test = require('tinytap');
+
+test.count(15);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+function connect (model, callback) {
+  var port = new simulator.Port({ model: model, acceleration: [0.123, -0.5, 1.25], autoTick: false });
+  accelLib.use(port, function (err, accel) {
+    port.device.tick();
+    callback(err, accel, port);
+  });
+}
+
+['MMA8451Q', 'MMA8452Q', 'MMA8453Q'].forEach(function (model) {
+  test(model, function (t) {
+    connect(model, function (err, accel, port) {
+      t.ok(!err, 'there was an error connecting');
+      t.equal(accel.chip.name, model, 'chip should be detected as ' + model);
+      accel.getAcceleration(function (err, xyz) {
+        // One count of the part's resolution at 2g
+        var lsb = 4 / (1 << accel.chip.resolution);
+        t.ok(Math.abs(xyz[0] - 0.123) <= lsb, 'x should read within one count of 0.123g');
+        t.equal(xyz[1], -0.5, 'y should read back as -0.5g');
+        port.close();
+        t.end();
+      });
+    });
+  });
+});
+
+test('features', function (t) {
+  t.ok(accelLib.chips[0x1A].features.indexOf('fifo') !== -1, 'MMA8451Q should have a FIFO');
+  t.ok(accelLib.chips[0x2A].features.indexOf('fifo') === -1, 'MMA8452Q should not have a FIFO');
+  t.end();
+});
+
+test('unknown chip', function (t) {
+  var port = new simulator.Port({ autoTick: false });
+  port.device.registers[0x0D] = 0x5A;
+  port.device.whoAmI = 0x5A;
+  accelLib.use(port, function (err) {
+    t.ok(err, 'an unknown WHO_AM_I should fail the init');
+    port.close();
+    t.end();
+  }).on('error', function () {});
+});
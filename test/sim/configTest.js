@@ -0,0 +1,98 @@
+// Settings from use options, configure and getConfig
+
+var test = require('tinytap');
+
+test.count(17);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port();
+var accel = accelLib.use(port, {
+  scaleRange: 4,
+  outputRate: 50,
+  powerMode: 'highResolution',
+  shakeThreshold: 2,
+  sampleBufferLength: 5
+});
+
+accel.on('error', function () {});
+
+test('use options', function (t) {
+  accel.once('ready', function () {
+    var config = accel.getConfig();
+    t.equal(config.scaleRange, 4, 'the scale range should be set before ready');
+    t.equal(config.outputRate, 50, 'the output rate should be set before ready');
+    t.equal(config.shakeThreshold, 2, 'the shake threshold should be set');
+    t.equal(config.sampleBufferLength, 5, 'the buffer length should be set');
+    accel.readRegisters(function (err, map) {
+      t.equal(map.CTRL_REG2.powerMode, 'highResolution', 'the power mode should be written');
+      t.equal(map.XYZ_DATA_CFG.scaleRange, 4, 'the scale range should be written');
+      t.end();
+    });
+  });
+});
+
+test('configure', function (t) {
+  // Count trips to standby
+  var standbys = 0;
+  var modeStandby = accel._modeStandby;
+  accel._modeStandby = function (callback) {
+    standbys++;
+    modeStandby.call(accel, callback);
+  };
+
+  accel.configure({ scaleRange: 2, outputRate: 100, lowNoise: true, tiltThreshold: 5 }, function (err, config) {
+    accel._modeStandby = modeStandby;
+    t.equal(standbys, 1, 'every change should be made in one standby window');
+    t.deepEqual([config.scaleRange, config.outputRate, config.lowNoise, config.tiltThreshold], [2, 100, true, 5],
+      'the new settings should be in effect');
+    accel.readRegisters(function (err, map) {
+      t.deepEqual([map.CTRL_REG1.outputRate, map.CTRL_REG1.lowNoise, map.CTRL_REG1.active], [100, true, true],
+        'CTRL_REG1 should hold the new settings');
+      t.end();
+    });
+  });
+});
+
+test('single setters', function (t) {
+  accel.once('error', function (err) {
+    t.equal(err.message, 'Shake threshold must be larger than zero', 'a bad threshold should be emitted');
+    t.equal(accel.getConfig().shakeThreshold, 2, 'the threshold should stay as it was');
+    accel.setScaleRange(16, function (err) {
+      t.ok(err, 'a scale range the chip lacks should be refused');
+      t.equal(accel.scaleRange, 2, 'the scale range should stay as it was');
+      t.end();
+    });
+  });
+  accel.setShakeThreshold(0);
+});
+
+test('failed transfers', function (t) {
+  var errors = 0;
+  function counter() {
+    errors++;
+  }
+  // After the refused scale range from before has been emitted
+  setImmediate(function () {
+    accel.on('error', counter);
+    port.glitch(accel.retries + 1);
+    accel.configure({ scaleRange: 4 }, function (err) {
+      t.ok(err, 'a failed transfer should fail configure');
+      setTimeout(function () {
+        accel.removeListener('error', counter);
+        t.equal(errors, 1, 'the error should be emitted once');
+        t.end();
+      }, 20);
+    });
+  });
+});
+
+test('invalid settings', function (t) {
+  accel.configure({ scaleRange: 8, shakeThreshold: 3 }, function (err) {
+    t.ok(err, '8g should be refused in low noise mode');
+    t.equal(accel.getConfig().shakeThreshold, 2, 'nothing should change when a setting is refused');
+    port.close();
+    t.end();
+  });
+});
@@ -0,0 +1,48 @@
+// 8 bit fast read mode
+
+var test = require('tinytap');
+
+test.count(9);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0.51, -0.25, 1] });
+var accel = accelLib.use(port);
+
+test('setFastRead', function (t) {
+  accel.once('ready', function () {
+    t.equal(accel.resolution, 12, 'resolution should start at the part\'s 12 bits');
+    accel.setFastRead(true, function (err) {
+      t.ok(!err, 'there was an error turning fast read on');
+      t.equal(port.device.registers[0x2A] & 0x02, 0x02, 'F_READ should be set');
+      t.equal(accel.resolution, 8, 'resolution should drop to 8 bits');
+      t.end();
+    });
+  });
+});
+
+test('getAcceleration reads the MSBs only', function (t) {
+  port.device.tick();
+  accel.getAcceleration(function (err, xyz) {
+    t.deepEqual(xyz, [0.5, -0.25, 1], 'readings should be rounded to 1/64 g');
+    t.end();
+  });
+});
+
+test('sample events in fast read mode', function (t) {
+  accel.once('sample', function (xyz) {
+    t.equal(xyz[1], -0.25, 'negative values should decode from 8 bits');
+    accel.removeAllListeners('sample');
+    accel.setFastRead(false, function (err) {
+      t.ok(!err, 'there was an error turning fast read off');
+      t.equal(accel.resolution, 12, 'resolution should be back to 12 bits');
+      port.device.tick();
+      accel.getAcceleration(function (err, xyz) {
+        t.ok(Math.abs(xyz[0] - 0.51) < 0.001, 'full resolution readings should be back');
+        port.close();
+        t.end();
+      });
+    });
+  });
+});
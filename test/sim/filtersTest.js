@@ -0,0 +1,76 @@
+// Software filter pipeline
+
+var test = require('tinytap');
+
+test.count(12);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+var filters = accelLib.filters;
+
+test('filters', function (t) {
+  var lowPass = new filters.LowPass({ alpha: 0.5 });
+  lowPass.process([0, 0, 0]);
+  t.deepEqual(lowPass.process([1, 2, 4]), [0.5, 1, 2], 'low pass should move halfway to the sample');
+
+  var highPass = new filters.HighPass();
+  t.deepEqual(highPass.process([0, 0, 1]), [0, 0, 0], 'high pass should start out removing gravity');
+
+  var median = new filters.Median({ length: 3 });
+  median.process([0, 0, 1]);
+  median.process([5, 0, 1]);
+  t.deepEqual(median.process([0, 0, 1]), [0, 0, 1], 'median should remove a spike');
+
+  var kalman = new filters.Kalman();
+  kalman.process([0, 0, 1]);
+  var estimate = kalman.process([0, 0, 2]);
+  t.ok(estimate[2] > 1 && estimate[2] < 2, 'kalman should move part of the way to the sample');
+
+  var average = new filters.MovingAverage(2);
+  average.process([1, 1, 1]);
+  t.deepEqual(average.process([3, 3, 3]), [2, 2, 2], 'moving average should average the buffer');
+  t.equal(new filters.MovingAverage({ length: 5 }).length, 5, 'moving average should take options like the others');
+  t.end();
+});
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port);
+accel.on('error', function () {});
+
+test('filtered events', function (t) {
+  accel.once('ready', function () {
+    accel.use(new filters.HighPass({ alpha: 0.5 })).use(new filters.Median({ length: 1 }));
+    t.equal(accel.filters.length, 2, 'both filters should be in the chain');
+    accel.once('filtered', function (xyz, info) {
+      t.deepEqual(xyz, [0, 0, 0], 'gravity should be filtered out');
+      t.equal(typeof info.sequence, 'number', 'filtered samples should come with their info');
+      t.end();
+    });
+  });
+});
+
+test('detectors can read filtered samples', function (t) {
+  accel.setDetectorSource('shake', 'filtered');
+  accel.setShakeThreshold(0.5);
+  // A constant 2g would be a shake for the raw detector, but it's filtered out after one sample
+  port.device.setAcceleration([2, 0, 1]);
+  var shakes = 0;
+  accel.on('shake', function () {
+    shakes++;
+  });
+  setTimeout(function () {
+    t.ok(shakes >= 1 && shakes <= 2, 'the filtered step should only shake briefly');
+    accel.setDetectorSource('tilt', 'filtered');
+    t.equal(accel.detectorSources.tilt, undefined, 'unknown detectors should be refused');
+    accel.removeAllListeners('shake');
+    accel.removeAllListeners('filtered');
+    t.end();
+  }, 1000);
+});
+
+test('setSampleBufferLength sets the moving average length', function (t) {
+  accel.setSampleBufferLength(4);
+  t.equal(accel.movingAverage.length, 4, 'moving average should hold four samples');
+  port.close();
+  t.end();
+});
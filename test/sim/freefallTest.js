@@ -0,0 +1,68 @@
+// Freefall and motion detection with the chip's FF_MT engine
+
+var test = require('tinytap');
+
+test.count(12);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port);
+
+test('ready', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function (err) {
+      t.ok(!err, 'there was an error setting the output rate');
+      t.end();
+    });
+  });
+});
+
+test('configureFreefall', function (t) {
+  accel.configureFreefall({ threshold: 0.2, debounce: 50 }, function (err) {
+    t.ok(!err, 'there was an error configuring freefall');
+    t.equal(port.device.registers[0x15], 0xB8, 'FF_MT_CFG should latch events on all three axes');
+    t.equal(port.device.registers[0x17], 3, 'FF_MT_THS should be 0.2g in 0.063g counts');
+    t.equal(port.device.registers[0x18], 5, 'FF_MT_COUNT should be 50ms in 10ms steps');
+    t.end();
+  });
+});
+
+test('freefall without the sample stream', function (t) {
+  var start;
+  accel.once('freefall', function () {
+    t.ok(port.device.sampleCount - start >= 5, 'freefall should be debounced');
+    t.equal(accel.listeners('data').length, 0, 'no data listeners should be needed');
+    t.end();
+  });
+  start = port.device.sampleCount;
+  port.device.setAcceleration([0, 0, 0.1]);
+});
+
+test('configureMotion', function (t) {
+  port.device.setAcceleration([0, 0, 1]);
+  accel.configureMotion({ axes: ['y'], threshold: 1 }, function (err) {
+    t.ok(!err, 'there was an error configuring motion');
+    t.equal(port.device.registers[0x15], 0xD0, 'FF_MT_CFG should look for motion on y only');
+    t.end();
+  });
+});
+
+test('motion event axes and polarity', function (t) {
+  accel.once('motion', function (event) {
+    t.deepEqual(event.axes, ['y'], 'motion should be on the y axis');
+    t.equal(event.polarity.y, -1, 'motion should be in the negative direction');
+    accel.once('motion', function () {
+      t.ok(false, 'motion should not be reported once turned off');
+    });
+    accel.configureMotion(false, function (err) {
+      t.ok(!err, 'there was an error turning motion off');
+      setTimeout(function () {
+        port.close();
+        t.end();
+      }, 100);
+    });
+  });
+  port.device.setAcceleration([0, -1.5, 1]);
+});
@@ -0,0 +1,93 @@
+// Gesture recording and matching
+
+var test = require('tinytap');
+
+test.count(10);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+var GestureRecognizer = require('../../lib/gestures');
+
+// Motion added on top of lying flat, started by perform()
+var motion = null;
+var shapes = {
+  // A quick push along x
+  flick: { duration: 200, at: function (p) { return [Math.sin(Math.PI * p), 0, 0]; } },
+  // A circle in the x-y plane
+  circle: { duration: 600, at: function (p) { return [0.8 * Math.sin(2 * Math.PI * p), 0.8 * (1 - Math.cos(2 * Math.PI * p)), 0]; } }
+};
+
+function perform(name) {
+  motion = { shape: shapes[name], start: Date.now() };
+}
+
+var port = new simulator.Port({
+  acceleration: function () {
+    var xyz = [0, 0, 1];
+    if (motion) {
+      var p = (Date.now() - motion.start) / motion.shape.duration;
+      if (p >= 1) {
+        motion = null;
+      }
+      else {
+        var extra = motion.shape.at(p);
+        xyz = xyz.map(function (g, i) { return g + extra[i]; });
+      }
+    }
+    return xyz;
+  }
+});
+var accel = accelLib.use(port);
+
+test('dtw lines up gestures made at different speeds', function (t) {
+  var slow = [], fast = [], other = [];
+  for (var i = 0; i < 40; i++) slow.push([Math.sin(Math.PI * i / 39), 0, 0]);
+  for (i = 0; i < 15; i++) fast.push([Math.sin(Math.PI * i / 14), 0, 0]);
+  for (i = 0; i < 15; i++) other.push([0, Math.sin(Math.PI * i / 14), 0]);
+  var recognizer = new GestureRecognizer();
+  recognizer.templates.flick = slow;
+  t.ok(recognizer.match(fast).distance < 0.05, 'a faster flick should be close to the template');
+  t.equal(recognizer.match(other), null, 'a flick along another axis should not match');
+  t.end();
+});
+
+test('recording gestures on motion', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function () {
+      accel.recordGesture('flick', { auto: true }, function (err, samples) {
+        t.ok(!err, 'there was an error recording the flick');
+        t.ok(samples.length >= 10, 'the flick should have been recorded');
+        accel.recordGesture('circle', { auto: true }, function (err) {
+          t.ok(!err, 'there was an error recording the circle');
+          t.deepEqual(Object.keys(accel.exportGestures().templates), ['flick', 'circle'], 'both templates should be stored');
+          t.end();
+        });
+        setTimeout(perform, 300, 'circle');
+      });
+      setTimeout(perform, 300, 'flick');
+    });
+  });
+});
+
+test('gesture events', function (t) {
+  accel.once('gesture', function (gesture) {
+    t.equal(gesture.name, 'circle', 'the circle should be recognized');
+    t.ok(gesture.score > 0.5, 'the score should be high for the same motion');
+    t.end();
+  });
+  setTimeout(perform, 300, 'circle');
+});
+
+test('export and import', function (t) {
+  var json = JSON.stringify(accel.exportGestures());
+  accel.removeGesture('flick');
+  accel.removeGesture('circle');
+  accel.importGestures(json);
+  t.deepEqual(Object.keys(accel.gestures.templates), ['flick', 'circle'], 'templates should be restored from JSON');
+  accel.once('error', function (err) {
+    t.ok(err, 'a bad template should be refused');
+    port.close();
+    t.end();
+  });
+  accel.importGestures({ templates: { bad: [[0, 1]] } });
+});
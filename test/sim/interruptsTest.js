@@ -0,0 +1,58 @@
+// Interrupt routing between INT1 and INT2, and pin polarity
+
+var test = require('tinytap');
+
+test.count(11);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port, { int1Pin: 0 });
+
+test('configureInterrupts', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100);
+    accel.configureMotion({ threshold: 1.5 });
+    accel.configureInterrupts({ activeHigh: true, routes: { freefallMotion: 1 } }, function (err) {
+      t.ok(!err, 'there was an error configuring interrupts');
+      t.equal(port.device.registers[0x2E], 0x04, 'CTRL_REG5 should route freefall/motion to INT1');
+      t.equal(port.device.registers[0x2C] & 0x03, 0x02, 'CTRL_REG3 should make the lines active high');
+      t.equal(accel.interrupts.lineOf('freefallMotion'), 1, 'freefall/motion should be on INT1');
+      t.equal(accel.interrupts.lineOf('dataReady'), 2, 'data ready should stay on INT2');
+      t.end();
+    });
+  });
+});
+
+test('sources are dispatched from their own lines', function (t) {
+  var rose = [false, false];
+  port.digital[0].once('rise', function () { rose[0] = true; });
+  port.digital[1].once('rise', function () { rose[1] = true; });
+
+  accel.once('data', function () {
+    accel.once('motion', function (event) {
+      t.ok(rose[0], 'motion should raise INT1');
+      t.ok(rose[1], 'data should raise INT2');
+      t.deepEqual(event.axes, ['x'], 'motion should be on the x axis');
+      accel.removeAllListeners('data');
+      t.end();
+    });
+    port.device.setAcceleration([2, 0, 1]);
+  });
+});
+
+test('routing to a line without a pin', function (t) {
+  var single = accelLib.use(new simulator.Port({ address: 0x1C }), { address: 0x1C });
+  single.on('error', function () {});
+  single.once('ready', function () {
+    single.configureInterrupts({ routes: { pulse: 1 } }, function (err) {
+      t.ok(err, 'routing to INT1 should fail without an INT1 pin');
+      t.equal(single.interrupts.lineOf('pulse'), 2, 'pulse should stay on INT2');
+      t.ok(single.hardware.device.isActive(), 'the chip should stay active');
+      single.hardware.close();
+      port.close();
+      t.end();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// Two accelerometers on one simulated port
+
+var test = require('tinytap');
+
+test.count(11);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ device: false });
+var high = port.attach(new simulator.MMA8452Q({ address: 0x1D, acceleration: [1, 0, 0] }));
+var low = port.attach(new simulator.MMA8452Q({ address: 0x1C, acceleration: [0, 1, 0], int2Pin: 2 }));
+
+var accelHigh, accelLow;
+
+test('Connecting to both accelerometers', function (t) {
+  var ready = 0;
+  function done (err) {
+    t.ok(!err, 'there was an error connecting');
+    if (++ready == 2) t.end();
+  }
+  accelHigh = accelLib.use(port, done);
+  accelLow = accelLib.use(port, { address: 0x1C, interruptPin: 2 }, done);
+});
+
+test('each instance reads its own chip', function (t) {
+  var seen = 0;
+  accelHigh.once('data', function (xyz) {
+    t.equal(xyz[0], 1, 'instance at 0x1D should read x = 1g');
+    if (++seen == 2) t.end();
+  });
+  accelLow.once('data', function (xyz) {
+    t.equal(xyz[1], 1, 'instance at 0x1C should read y = 1g');
+    if (++seen == 2) t.end();
+  });
+});
+
+test('instances sharing an interrupt pin', function (t) {
+  var sharedPort = new simulator.Port({ device: false });
+  sharedPort.attach(new simulator.MMA8452Q({ address: 0x1D, acceleration: [1, 0, 0] }));
+  var slow = sharedPort.attach(new simulator.MMA8452Q({ address: 0x1C, acceleration: [0, 1, 0] }));
+
+  var a = accelLib.use(sharedPort);
+  var b = accelLib.use(sharedPort, { address: 0x1C });
+  // Push-pull outputs would short the shared line
+  a.configureInterrupts({ openDrain: true });
+  b.configureInterrupts({ openDrain: true });
+  b.setOutputRate(1.56, function () {
+    a.setOutputRate(100, function () {
+      var start = slow.sampleCount;
+      var counts = { a: 0, b: 0 };
+      a.on('data', function () {
+        counts.a++;
+      });
+      b.on('data', function () {
+        counts.b++;
+      });
+      setTimeout(function () {
+        t.ok(counts.a > 5, 'faster chip should keep reporting');
+        t.ok(counts.b <= slow.sampleCount - start, 'slower chip should only report its own samples');
+        t.equal(sharedPort.digital[1].contention, 0, 'the chips should not drive the line against each other');
+        a.removeAllListeners('data');
+        b.removeAllListeners('data');
+        sharedPort.close();
+        t.end();
+      }, 300);
+    });
+  });
+});
+
+test('closing an instance sharing an interrupt pin', function (t) {
+  var sharedPort = new simulator.Port({ device: false });
+  sharedPort.attach(new simulator.MMA8452Q({ address: 0x1D, acceleration: [1, 0, 0] }));
+  sharedPort.attach(new simulator.MMA8452Q({ address: 0x1C, acceleration: [0, 1, 0] }));
+
+  var a = accelLib.use(sharedPort);
+  var b = accelLib.use(sharedPort, { address: 0x1C });
+  a.configureInterrupts({ openDrain: true });
+  b.configureInterrupts({ openDrain: true });
+  a.on('data', function () {});
+  b.on('data', function () {});
+  b.ready(function () {
+    // Stop servicing the first chip, which then holds the line low
+    a.interrupts._interrupt = function () {};
+    var checks = 0;
+    var interrupt = b.interrupts._interrupt;
+    b.interrupts._interrupt = function (line) {
+      checks++;
+      interrupt.call(this, line);
+    };
+    setTimeout(function () {
+      t.ok(checks < 40, 'interrupts for the other chip should be waited out, not read over and over');
+      b.interrupts._interrupt = interrupt;
+      a.close(function (err) {
+        t.equal(b.interrupts._shared(1), false, 'the closed instance should give up the pin');
+        b.once('data', function (xyz) {
+          t.equal(xyz[1], 1, 'the other instance should keep reading its chip');
+          b.removeAllListeners('data');
+          sharedPort.close();
+          t.end();
+        });
+      });
+    }, 100);
+  });
+});
+
+test('invalid address', function (t) {
+  accelLib.use(port, { address: 0x42 }, function (err) {
+    t.ok(err, 'an address other than 0x1C or 0x1D should fail');
+    port.close();
+    t.end();
+  }).on('error', function () {});
+});
@@ -0,0 +1,59 @@
+// Timestamps, sequence numbers and overruns
+
+var test = require('tinytap');
+
+test.count(7);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+// Samples only come when the test ticks the device
+var port = new simulator.Port({ acceleration: [0, 0, 1], autoTick: false });
+var accel = accelLib.use(port);
+var last;
+
+test('samples have a timestamp and sequence number', function (t) {
+  accel.once('ready', function () {
+    var infos = [];
+    accel.on('sample', function listener(xyz, info) {
+      infos.push(info);
+      if (infos.length < 2) {
+        return port.device.tick();
+      }
+      accel.removeListener('sample', listener);
+      t.equal(typeof infos[0].timestamp, 'number', 'samples should have a timestamp');
+      t.ok(infos[1].timestamp >= infos[0].timestamp, 'timestamps should not go backwards');
+      t.equal(infos[1].sequence, infos[0].sequence + 1, 'sequence numbers should count up by one');
+      last = infos[1];
+      t.end();
+    });
+    port.device.tick();
+  });
+});
+
+test('overrun', function (t) {
+  var overruns = 0;
+  accel.on('overrun', function (lost) {
+    overruns++;
+    t.equal(lost, 1, 'one sample should have been lost');
+  });
+  accel.on('sample', function listener(xyz, info) {
+    if (info.sequence <= last.sequence) {
+      return port.device.tick();
+    }
+    // The first sample after adding a listener clears the stale STATUS
+    if (!overruns && info.sequence == last.sequence + 1) {
+      last = info;
+      // Two samples before the driver can read one
+      port.device.tick();
+      return port.device.tick();
+    }
+    accel.removeListener('sample', listener);
+    t.equal(overruns, 1, 'there should be an overrun event');
+    t.equal(info.sequence, last.sequence + 2, 'the sequence number should skip the lost sample');
+    t.equal(port.device.registers[0x00] & 0x80, 0, 'reading the sample should clear ZYXOW');
+    port.close();
+    t.end();
+  });
+  port.device.tick();
+});
@@ -0,0 +1,59 @@
+// Step counting
+
+var test = require('tinytap');
+
+test.count(7);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+var Pedometer = require('../../lib/pedometer');
+
+// Walking at 1.8 steps a second for ten seconds, timed from sample timestamps
+function walk(pedometer, rate) {
+  var last = null;
+  for (var i = 0; i < rate * 10; i++) {
+    var t = i * 1000 / rate;
+    var step = pedometer.process([0, 0, 1 + 0.3 * Math.sin(2 * Math.PI * 1.8 * t / 1000)], t);
+    if (step) last = step;
+  }
+  return last;
+}
+
+test('pedometer at different rates', function (t) {
+  [12.5, 100].forEach(function (rate) {
+    var step = walk(new Pedometer(), rate);
+    t.ok(step.steps >= 17 && step.steps <= 18, 'should count about 18 steps at ' + rate + ' Hz');
+    t.ok(Math.abs(step.cadence - 108) < 5, 'cadence should be about 108 at ' + rate + ' Hz');
+  });
+  t.end();
+});
+
+test('small swings are not steps', function (t) {
+  var pedometer = new Pedometer({ sensitivity: 0.8 });
+  t.equal(walk(pedometer, 50), null, 'a swing under the sensitivity should not count');
+  t.end();
+});
+
+var port = new simulator.Port({
+  acceleration: function (t) {
+    return [0, 0, 1 + 0.4 * Math.sin(2 * Math.PI * 2 * t)];
+  }
+});
+var accel = accelLib.use(port);
+
+test('step events', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(50, function () {
+      accel.on('step', function listener(step) {
+        if (step.steps == 2) {
+          accel.removeListener('step', listener);
+          t.ok(step.cadence > 0, 'the second step should have a cadence');
+          accel.resetSteps();
+          t.equal(accel.pedometer.steps, 0, 'resetSteps should zero the count');
+          port.close();
+          t.end();
+        }
+      });
+    });
+  });
+});
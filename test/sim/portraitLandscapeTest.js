@@ -0,0 +1,85 @@
+// Portrait/landscape and back/front detection with the chip's engine
+
+var test = require('tinytap');
+
+test.count(16);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+// Only the MMA8451Q can change the angles
+var port = new simulator.Port({ model: 'MMA8451Q', acceleration: [0, 1, 0] });
+var accel = accelLib.use(port);
+
+function tilt (degrees) {
+  var angle = degrees * Math.PI / 180;
+  return [Math.sin(angle), Math.cos(angle), 0];
+}
+
+test('configurePortraitLandscape', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function () {
+      accel.once('portraitLandscape', function (event) {
+        t.equal(event.orientation, 'portraitUp', 'upright device should start in portrait up');
+        t.equal(event.face, 'front', 'upright device should face front');
+        t.equal(event.lockout, false, 'upright device should not be locked out');
+        t.end();
+      });
+      accel.configurePortraitLandscape({ tripAngle: 44, hysteresis: 10, zLockout: 30, debounce: 50 }, function (err) {
+        t.ok(!err, 'there was an error configuring portrait/landscape');
+        t.equal(port.device.registers[0x14], 0x83, 'P_L_THS_REG should be 45 degrees +/- 11');
+        t.equal(port.device.registers[0x13] & 0x07, 4, 'PL_BF_ZCOMP should lock out at 29 degrees');
+        t.equal(port.device.registers[0x12], 5, 'PL_COUNT should be 50ms in 10ms steps');
+      });
+    });
+  });
+});
+
+test('hysteresis', function (t) {
+  accel.once('portraitLandscape', function (event) {
+    t.equal(event.orientation, 'landscapeRight', 'past 56 degrees the device should be landscape');
+    accel.once('portraitLandscape', function () {
+      t.ok(false, 'inside the hysteresis band the orientation should hold');
+    });
+    port.device.setAcceleration(tilt(40));
+    setTimeout(function () {
+      accel.removeAllListeners('portraitLandscape');
+      t.ok(true, 'orientation held at 40 degrees');
+      t.end();
+    }, 200);
+  });
+  port.device.setAcceleration(tilt(60));
+});
+
+test('back facing and lockout', function (t) {
+  accel.once('portraitLandscape', function (event) {
+    t.equal(event.face, 'back', 'face down device should face back');
+    t.equal(event.lockout, true, 'face down device should be locked out');
+    accel.configurePortraitLandscape(false, function (err) {
+      t.ok(!err, 'there was an error turning portrait/landscape off');
+      port.close();
+      t.end();
+    });
+  });
+  port.device.setAcceleration([0, 0, -1]);
+});
+
+test('fixed angles', function (t) {
+  var fixedPort = new simulator.Port({ acceleration: [0, 1, 0] });
+  // Written in standby, as any setting would be
+  fixedPort.device._write(0x14, 0x4C);
+  t.equal(fixedPort.device.registers[0x14], 0x84, 'P_L_THS_REG should be read only');
+
+  var fixed = accelLib.use(fixedPort);
+  fixed.on('error', function () {});
+
+  fixed.configurePortraitLandscape({ tripAngle: 30 }, function (err) {
+    t.ok(err, 'the MMA8452Q should refuse to change the angles');
+    fixed.configurePortraitLandscape({ debounce: 50 }, function (err) {
+      t.ok(!err, 'the engine should still turn on with the fixed angles');
+      t.equal(fixedPort.device.registers[0x13], 0x44, 'PL_BF_ZCOMP should keep its fixed value');
+      fixedPort.close();
+      t.end();
+    });
+  });
+});
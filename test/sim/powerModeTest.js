@@ -0,0 +1,47 @@
+// Oversampling modes and low noise mode
+
+var test = require('tinytap');
+
+test.count(11);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port);
+// Refused settings are emitted as errors as well as passed to callbacks
+accel.on('error', function () {});
+
+test('setPowerMode', function (t) {
+  accel.once('ready', function () {
+    t.deepEqual(accel.availablePowerModes(), ['normal', 'lowNoiseLowPower', 'highResolution', 'lowPower'], 'all four modes should be available');
+    accel.setPowerMode('highResolution', function (err) {
+      t.ok(!err, 'there was an error setting the power mode');
+      t.equal(accel.powerMode, 'highResolution', 'powerMode should be updated');
+      t.equal(port.device.registers[0x2B] & 0x03, 2, 'MODS should be 10');
+      t.ok(port.device.isActive(), 'device should be active again');
+      t.equal(accel.availableHighPassCutoffs()[0], 16, 'engines run at 400 Hz in high resolution mode');
+      t.end();
+    });
+  });
+});
+
+test('setPowerMode rejects unknown modes', function (t) {
+  accel.setPowerMode('turbo', function (err) {
+    t.ok(err, 'an unknown mode should be an error');
+    t.equal(accel.powerMode, 'highResolution', 'powerMode should be unchanged');
+    t.end();
+  });
+});
+
+test('setLowNoise', function (t) {
+  accel.setLowNoise(true, function (err) {
+    t.ok(!err, 'there was an error turning low noise on');
+    t.equal(port.device.registers[0x2A] & 0x04, 0x04, 'LNOISE should be set');
+    accel.setScaleRange(8, function (err) {
+      t.ok(err, '8g should be refused in low noise mode');
+      port.close();
+      t.end();
+    });
+  });
+});
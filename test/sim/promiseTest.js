@@ -0,0 +1,99 @@
+// Promises from async methods called without a callback
+
+var test = require('tinytap');
+
+test.count(13);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0.5, -0.25, 1] });
+var accel;
+
+test('useAsync resolves once ready', function (t) {
+  accelLib.useAsync(port).then(function (ready) {
+    accel = ready;
+    t.ok(port.device.isActive(), 'device should be active once resolved');
+    return accel.ready();
+  }).then(function (again) {
+    t.equal(again, accel, 'ready() should resolve straight away after init');
+    t.end();
+  });
+});
+
+test('useAsync rejects a bad address', function (t) {
+  accelLib.useAsync(port, { address: 0x55 }).then(function () {
+    t.ok(false, 'an invalid address should not resolve');
+  }, function (err) {
+    t.ok(/Invalid I2C address/.test(err.message), 'the Promise should reject with the error');
+    t.end();
+  });
+});
+
+test('methods resolve with their results', function (t) {
+  accel.setOutputRate(100).then(function (result) {
+    t.equal(port.device.outputRate(), 100, 'setOutputRate should have finished');
+    t.equal(result, undefined, 'setters should resolve with nothing');
+    port.device.tick();
+    return accel.getAcceleration();
+  }).then(function (xyz) {
+    t.deepEqual(xyz, [0.5, -0.25, 1], 'getAcceleration should resolve with the reading');
+    t.end();
+  });
+});
+
+test('undefined callbacks', function (t) {
+  var callback;
+  accel.setOutputRate(100, callback).then(function (result) {
+    t.equal(result, undefined, 'a setter passed an undefined callback should resolve');
+    return accel.getAcceleration(callback);
+  }).then(function (xyz) {
+    t.deepEqual(xyz, [0.5, -0.25, 1], 'getAcceleration passed an undefined callback should resolve');
+    t.end();
+  });
+});
+
+test('errors reject', function (t) {
+  // No 'error' listener: the rejection alone reports the error
+  accel.setPowerMode('turbo').then(function () {
+    t.ok(false, 'an invalid mode should not resolve');
+  }, function (err) {
+    t.ok(err instanceof Error, 'an invalid mode should reject with an error');
+    // Give an emit the chance to crash the test
+    setTimeout(t.end.bind(t), 10);
+  });
+});
+
+test('errors go to error listeners', function (t) {
+  var unhandled = 0;
+  function onUnhandled() {
+    unhandled++;
+  }
+  process.on('unhandledRejection', onUnhandled);
+
+  accel.once('error', function (err) {
+    t.ok(/Low noise/.test(err.message), 'the error should be emitted');
+    setTimeout(function () {
+      process.removeListener('unhandledRejection', onUnhandled);
+      t.equal(unhandled, 0, 'the Promise should not be left unhandled');
+      accel.setScaleRange(2, function () {
+        port.close();
+        t.end();
+      });
+    }, 10);
+  });
+  accel.setScaleRange(8);
+  accel.setLowNoise(true);
+});
+
+test('useAsync rejects when there is no accelerometer', function (t) {
+  var empty = new simulator.Port({ device: false });
+  accelLib.useAsync(empty).then(function () {
+    t.ok(false, 'init should not succeed');
+  }, function (err) {
+    t.ok(err, 'init should reject');
+    t.ok(/No response/.test(err.message), 'the error should say the chip did not respond');
+    empty.close();
+    t.end();
+  });
+});
@@ -0,0 +1,71 @@
+// I2C retries and the watchdog
+
+var test = require('tinytap');
+
+test.count(9);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port();
+var accel = accelLib.use(port, { watchdog: 100 });
+
+accel.on('error', function () {});
+
+test('retries', function (t) {
+  accel.once('ready', function () {
+    port.glitch(accel.retries);
+    accel.getAcceleration(function (err, xyz) {
+      t.equal(err, null, 'a transfer should succeed once retried');
+      t.equal(xyz.length, 3, 'a reading should come back');
+      port.glitch(accel.retries + 1);
+      accel.getAcceleration(function (err) {
+        t.ok(err, 'a transfer should fail once out of retries');
+        t.end();
+      });
+    });
+  });
+});
+
+test('chip reset', function (t) {
+  // Keep samples coming, for the watchdog to watch
+  accel.on('sample', function () {});
+  accel.setScaleRange(4, function () {
+    accel.once('sample', function () {
+      // As if the power glitched
+      port.device.reset();
+      accel.once('disconnect', function () {
+        t.equal(accel.connected, false, 'a stall should disconnect');
+        accel.once('reconnect', function () {
+          t.equal(accel.connected, true, 'the chip should reconnect');
+          accel.once('sample', function () {
+            t.ok(true, 'samples should start again');
+            accel.readRegisters(function (err, map) {
+              t.equal(map.XYZ_DATA_CFG.scaleRange, 4, 'the settings should be written back');
+              t.end();
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+test('unplugged', function (t) {
+  var device = port.detach(port.device);
+  accel.once('disconnect', function () {
+    t.ok(true, 'unplugging should disconnect');
+    setTimeout(function () {
+      port.attach(device);
+    }, 300);
+    accel.once('reconnect', function () {
+      accel.once('sample', function () {
+        t.ok(true, 'samples should start again once plugged back in');
+        accel.setWatchdog(false);
+        accel.removeAllListeners('sample');
+        port.close();
+        t.end();
+      });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// Register map and self test
+
+var test = require('tinytap');
+
+test.count(13);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port();
+var accel = accelLib.use(port);
+
+test('register map', function (t) {
+  accel.once('ready', function () {
+    accel.readRegisters(function (err, map) {
+      t.equal(err, null, 'the registers should be read');
+      t.equal(map.WHO_AM_I.chip, 'MMA8452Q', 'the chip should be named');
+      t.equal(map.CTRL_REG1.active, true, 'the active bit should be decoded');
+      t.equal(map.CTRL_REG1.outputRate, accel.outputRate, 'the data rate should be decoded');
+      t.equal(map.XYZ_DATA_CFG.scaleRange, accel.scaleRange, 'the range should be decoded');
+      t.equal(map.PL_STATUS, undefined, 'registers cleared by reading should be left out');
+      t.end();
+    });
+  });
+});
+
+test('self test passes', function (t) {
+  accel.selfTest(function (err, result) {
+    t.equal(result.pass, true, 'the self test should pass');
+    t.ok(Math.abs(result.z.change - 0.77) < 0.05, 'z should move by about 0.77g');
+    accel.readRegisters(function (err, map) {
+      t.equal(map.CTRL_REG2.selfTest, false, 'the self test bit should be cleared');
+      t.equal(map.XYZ_DATA_CFG.scaleRange, accel.scaleRange, 'the range should be put back');
+      t.equal(map.CTRL_REG1.outputRate, accel.outputRate, 'the data rate should be put back');
+      port.close();
+      t.end();
+    });
+  });
+});
+
+test('self test fails', function (t) {
+  var brokenPort = new simulator.Port({ selfTest: [0.09, 0.12, 0.1] });
+  var broken = accelLib.use(brokenPort);
+
+  broken.selfTest(function (err, result) {
+    t.equal(result.pass, false, 'the self test should fail');
+    t.equal(result.z.pass, false, 'z should fail');
+    brokenPort.close();
+    t.end();
+  });
+});
@@ -0,0 +1,106 @@
+// Recording and replaying samples
+
+var test = require('tinytap');
+
+test.count(14);
+
+var stream = require('stream');
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+var recording = require('../../lib/recording');
+
+// Collects what is written to it
+function sink() {
+  var output = new stream.Writable();
+  output.text = '';
+  output._write = function (chunk, encoding, callback) {
+    output.text += chunk;
+    callback();
+  };
+  return output;
+}
+
+test('parse', function (t) {
+  var parsed = recording.parse('{"metadata":{"outputRate":50}}\n{"timestamp":10,"sequence":0,"x":0,"y":0.5,"z":1}\n');
+  t.equal(parsed.metadata.outputRate, 50, 'the metadata should be parsed');
+  t.deepEqual(parsed.samples[0], { xyz: [0, 0.5, 1], info: { timestamp: 10, sequence: 0 } }, 'samples should be parsed');
+  t.throws(function () {
+    recording.parse('timestamp,sequence,x,y,z\n1,2,3\n');
+  }, 'malformed lines should throw');
+  t.end();
+});
+
+var port = new simulator.Port({
+  acceleration: [0, 0, 1]
+});
+var accel = accelLib.use(port);
+
+test('record and replay', function (t) {
+  accel.once('ready', function () {
+    var csv = sink();
+    var jsonl = sink();
+    var csvRecorder = accel.record(csv);
+    var jsonlRecorder = accel.record(jsonl, { format: 'jsonl' });
+
+    var samples = 0;
+    accel.on('sample', function counter() {
+      if (++samples < 4) return;
+      accel.removeListener('sample', counter);
+      csvRecorder.stop();
+      jsonlRecorder.stop(function () {
+        var fromCsv = recording.parse(csv.text);
+        var fromJsonl = recording.parse(jsonl.text);
+        t.equal(fromCsv.metadata.outputRate, accel.outputRate, 'the output rate should be recorded');
+        t.equal(fromCsv.metadata.scaleRange, accel.scaleRange, 'the scale range should be recorded');
+        t.equal(fromCsv.samples.length, 4, 'every sample should be recorded');
+        t.deepEqual(fromCsv.samples, fromJsonl.samples, 'both formats should hold the same samples');
+
+        replay(t, csv.text);
+      });
+    });
+  });
+});
+
+function replay(t, csv) {
+  // A shake on the last sample
+  var lines = csv.trim().split('\n');
+  var last = lines[lines.length - 1].split(',');
+  lines[lines.length - 1] = [last[0], last[1], 0, 0, 2].join(',');
+
+  var replayed = [];
+  var shakes = 0;
+  accel.setShakeThreshold(1.5);
+  accel.on('sample', function (xyz) {
+    replayed.push(xyz);
+  });
+  accel.on('shake', function () {
+    shakes++;
+  });
+
+  // Recorded at another rate than the live one
+  var liveRate = accel.outputRate;
+  lines[0] = lines[0].replace(/"outputRate":[0-9.]+/, '"outputRate":800');
+
+  accel.replay(lines.join('\n'), { realTime: false }, function (err, result) {
+    t.equal(result.samples, 4, 'every sample should be replayed');
+    t.deepEqual(replayed[3], [0, 0, 2], 'samples should be emitted as recorded');
+    t.equal(shakes, 1, 'the replayed shake should be detected');
+    t.equal(accel.outputRate, liveRate, 'the output rate should be left alone');
+    accel.removeAllListeners('sample');
+    accel.removeAllListeners('shake');
+    t.end();
+  });
+}
+
+test('recording errors', function (t) {
+  accel.once('error', function (err) {
+    t.equal(err.code, 'ENOENT', 'a file which cannot be opened should be reported');
+    t.equal(accel.listeners('sample').length, 0, 'the recording should stop');
+    recorder.stop(function (err) {
+      t.ok(err, 'stopping should call back with the error');
+      port.close();
+      t.end();
+    });
+  });
+  var recorder = accel.record('/nonexistent/recording.csv');
+});
@@ -0,0 +1,76 @@
+// Readable streams of samples
+
+var test = require('tinytap');
+
+test.count(12);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0.5, -0.25, 1] });
+var accel = accelLib.use(port);
+
+// Data ready interrupt bit in CTRL_REG4, once queued commands have run
+function dataInterrupts(callback) {
+  accel.getAcceleration(function () {
+    callback(port.device.registers[0x2D] & 0x01);
+  });
+}
+
+test('object mode', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function () {
+      var samples = [];
+      var stream = accel.createReadStream({ samples: 3 });
+      stream.on('data', function (sample) {
+        samples.push(sample);
+      });
+      stream.on('end', function () {
+        t.equal(samples.length, 3, 'the stream should end after three samples');
+        t.deepEqual([samples[0].x, samples[0].y, samples[0].z], [0.5, -0.25, 1], 'samples should have x, y and z');
+        t.equal(typeof samples[0].t, 'number', 'samples should have a time');
+        dataInterrupts(function (on) {
+          t.equal(on, 0, 'data interrupts should be off once the stream has ended');
+          t.end();
+        });
+      });
+    });
+  });
+});
+
+test('backpressure', function (t) {
+  var stream = accel.createReadStream();
+  // Start reading, then leave the samples unread
+  stream.read(0);
+  (function waitForFullBuffer() {
+    if (accel.listeners('sample').length) {
+      return setTimeout(waitForFullBuffer, 20);
+    }
+    t.ok(stream.readableLength >= 16, 'samples should buffer up to the high water mark');
+    dataInterrupts(function (on) {
+      t.equal(on, 0, 'data interrupts should be off while the buffer is full');
+      stream.read();
+      t.equal(accel.listeners('sample').length, 1, 'reading should start listening again');
+      stream.destroy();
+      t.equal(accel.listeners('sample').length, 0, 'destroying the stream should stop listening');
+      t.end();
+    });
+  })();
+});
+
+test('binary mode', function (t) {
+  var chunks = [];
+  var stream = accel.createReadStream({ binary: true, samples: 2 });
+  stream.on('data', function (chunk) {
+    chunks.push(chunk);
+  });
+  stream.on('end', function () {
+    var data = Buffer.concat(chunks);
+    t.equal(data.length, 40, 'samples should be 20 bytes each');
+    t.equal(data.readFloatLE(4), -0.25, 'y should be packed as a Float32');
+    t.ok(data.readDoubleLE(32) >= data.readDoubleLE(12), 't should be packed as a Float64');
+    t.equal(data.readFloatLE(28), 1, 'the second z should follow the first sample');
+    port.close();
+    t.end();
+  });
+});
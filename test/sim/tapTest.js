@@ -0,0 +1,61 @@
+// Single and double tap detection with the chip's pulse engine
+
+var test = require('tinytap');
+
+test.count(10);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port);
+
+var rest = [0, 0, 1];
+var knock = [0, 0, 3];
+
+function repeat (sample, n) {
+  var out = [];
+  for (var i = 0; i < n; i++) out.push(sample);
+  return out;
+}
+
+test('configureTap', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function () {
+      accel.configureTap({ axes: ['z'], threshold: 1.5 }, function (err) {
+        t.ok(!err, 'there was an error configuring taps');
+        t.equal(port.device.registers[0x21], 0x70, 'PULSE_CFG should enable single and double pulses on z');
+        t.equal(port.device.registers[0x25], 24, 'PULSE_THSZ should be 1.5g in 0.063g counts');
+        t.equal(port.device.registers[0x26], 10, 'PULSE_TMLT should be 50ms in 5ms steps');
+        t.equal(port.device.registers[0x27], 10, 'PULSE_LTCY should be 100ms in 10ms steps');
+        t.equal(port.device.registers[0x28], 30, 'PULSE_WIND should be 300ms in 10ms steps');
+        t.end();
+      });
+    });
+  });
+});
+
+test('tap', function (t) {
+  accel.once('tap', function (event) {
+    t.deepEqual(event.axes, ['z'], 'tap should be on the z axis');
+    t.equal(event.polarity.z, 1, 'tap should be in the positive direction');
+    t.end();
+  });
+  port.device.setAcceleration(repeat(rest, 40).concat([knock], repeat(rest, 40)));
+});
+
+test('doubleTap', function (t) {
+  accel.once('doubleTap', function (event) {
+    t.deepEqual(event.axes, ['z'], 'double tap should be on the z axis');
+    t.end();
+  });
+  port.device.setAcceleration([knock].concat(repeat(rest, 15), [knock], repeat(rest, 40)));
+});
+
+test('turning taps off', function (t) {
+  accel.configureTap(false, function (err) {
+    t.ok(!err, 'there was an error turning taps off');
+    port.close();
+    t.end();
+  });
+});
@@ -0,0 +1,85 @@
+// Tilt angles and tilt events
+
+var test = require('tinytap');
+
+test.count(9);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port);
+
+function near(a, b) {
+  return Math.abs(a - b) < 0.5;
+}
+
+function settle(callback) {
+  // Wait for the moving average to fill with the new attitude
+  var count = 0;
+  accel.on('sample', function listener() {
+    if (++count == accel.movingAverage.length + 1) {
+      accel.removeListener('sample', listener);
+      callback();
+    }
+  });
+}
+
+test('getTilt lying flat', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function () {
+      accel.setSampleBufferLength(4);
+      settle(function () {
+        var tilt = accel.getTilt();
+        t.ok(near(tilt.pitch, 0) && near(tilt.roll, 0), 'pitch and roll should be zero');
+        t.ok(near(tilt.angle, 0), 'angle from vertical should be zero');
+        t.end();
+      });
+    });
+  });
+});
+
+test('tilt events', function (t) {
+  accel.setTiltThreshold(5, 2);
+  var s = Math.sin(Math.PI / 6), c = Math.cos(Math.PI / 6);
+  accel.on('tilt', function listener(tilt) {
+    if (near(tilt.roll, 30)) {
+      accel.removeListener('tilt', listener);
+      t.ok(near(tilt.pitch, 0), 'pitch should stay level');
+      t.ok(near(tilt.angle, 30), 'angle from vertical should follow the roll');
+      t.end();
+    }
+  });
+  // Roll 30 degrees about x
+  port.device.setAcceleration([0, s, c]);
+});
+
+test('small changes are ignored', function (t) {
+  var events = 0;
+  accel.on('tilt', function () {
+    events++;
+  });
+  // Back 4 degrees is under the threshold plus hysteresis
+  var r = 26 * Math.PI / 180;
+  port.device.setAcceleration([0, Math.sin(r), Math.cos(r)]);
+  settle(function () {
+    t.equal(events, 0, 'a change under the threshold plus hysteresis should not emit');
+    accel.removeAllListeners('tilt');
+    t.end();
+  });
+});
+
+test('zero', function (t) {
+  accel.zero();
+  var tilt = accel.getTilt();
+  t.ok(near(tilt.pitch, 0) && near(tilt.roll, 0), 'pitch and roll should be zero after zeroing');
+  t.ok(near(tilt.angle, 0), 'angle should be measured from the new reference');
+  port.device.setAcceleration([0, 0, 1]);
+  settle(function () {
+    var tilt = accel.getTilt();
+    t.ok(near(tilt.roll, -26), 'roll should be measured from the reference');
+    t.ok(near(tilt.angle, 26), 'angle should be measured from the reference');
+    port.close();
+    t.end();
+  });
+});
@@ -0,0 +1,65 @@
+// Transient detection with the chip's high pass filtered transient engine
+
+var test = require('tinytap');
+
+test.count(10);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+
+var port = new simulator.Port({ acceleration: [0, 0, 1] });
+var accel = accelLib.use(port);
+
+test('configureTransient', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(100, function () {
+      t.deepEqual(accel.availableHighPassCutoffs(), [4, 2, 1, 0.5], 'cutoffs at 100 Hz');
+      accel.configureTransient({ threshold: 0.3, cutoff: 3 }, function (err) {
+        t.ok(!err, 'there was an error configuring transients');
+        t.equal(port.device.registers[0x0F] & 0x03, 1, 'HP_FILTER_CUTOFF should select 2 Hz');
+        t.equal(accel.highPassCutoff, 2, 'highPassCutoff should be 2 Hz');
+        t.equal(port.device.registers[0x1D], 0x1E, 'TRANSIENT_CFG should latch events on all axes');
+        t.end();
+      });
+    });
+  });
+});
+
+test('tilting does not trigger a transient', function (t) {
+  accel.once('transient', function () {
+    t.ok(false, 'a slow tilt should be filtered out');
+  });
+  // Rotate gravity from z to x over two seconds
+  var tilt = [];
+  for (var i = 0; i <= 200; i++) {
+    var angle = (i / 200) * Math.PI / 2;
+    tilt.push([Math.sin(angle), 0, Math.cos(angle)]);
+  }
+  port.device.setAcceleration(tilt);
+  setTimeout(function () {
+    accel.removeAllListeners('transient');
+    t.ok(true, 'no transient while tilting');
+    t.end();
+  }, 2200);
+});
+
+test('a jolt while lying on its side triggers a transient', function (t) {
+  accel.once('transient', function (event) {
+    t.deepEqual(event.axes, ['y'], 'transient should be on the y axis');
+    t.end();
+  });
+  port.device.setAcceleration([[1, 0, 0], [1, 0.5, 0], [1, 0, 0]]);
+});
+
+test('transient driven shake events', function (t) {
+  accel.configureTransient({ threshold: 0.3, shake: true }, function (err) {
+    t.ok(!err, 'there was an error configuring transients');
+    t.equal(port.device.registers[0x2D] & 0x01, 0, 'shake listeners should not need data interrupts');
+    accel.once('shake', function (mag, event) {
+      t.deepEqual(event.axes, ['y'], 'shake should carry the transient axes');
+      port.close();
+      t.end();
+    });
+    port.device.setAcceleration([[1, 0, 0], [1, -0.5, 0], [1, 0, 0]]);
+  });
+});
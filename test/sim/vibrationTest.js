@@ -0,0 +1,50 @@
+// Vibration analysis
+
+var test = require('tinytap');
+
+test.count(8);
+
+var simulator = require('../../lib/simulator');
+var accelLib = require('../../');
+var VibrationAnalyzer = require('../../lib/vibration');
+
+test('analyzer', function (t) {
+  var analyzer = new VibrationAnalyzer({ size: 64, bands: [{ name: 'motor', from: 20, to: 30, threshold: 0.05 }] });
+  var result;
+  // 25 Hz at 0.2g on x, sampled at 100 Hz
+  for (var i = 0; i < 64; i++) {
+    result = analyzer.process([0.2 * Math.sin(2 * Math.PI * 25 * i / 100), 0, 1], i * 10, 100);
+  }
+  var report = result.report;
+  t.equal(report.dominant.frequency, 25, 'the dominant frequency should be 25 Hz');
+  t.ok(Math.abs(report.dominant.amplitude - 0.2) < 0.01, 'the amplitude should be 0.2g');
+  t.ok(Math.abs(report.x.rms - 0.2 / Math.sqrt(2)) < 0.005, 'RMS should be amplitude / sqrt(2)');
+  t.ok(Math.abs(report.x.peakToPeak - 0.4) < 0.01, 'peak-to-peak should be twice the amplitude');
+  t.equal(result.alerts[0].band, 'motor', 'the motor band should alert');
+  t.end();
+});
+
+var port = new simulator.Port({
+  acceleration: function (t) {
+    return [0, 0.3 * Math.sin(2 * Math.PI * 12.5 * t), 1];
+  }
+});
+var accel = accelLib.use(port);
+
+test('vibration events', function (t) {
+  accel.once('ready', function () {
+    accel.setOutputRate(50, function () {
+      accel.setVibration({ size: 16, interval: 100, bands: [{ name: 'shaker', from: 10, to: 15, threshold: 0.1 }] });
+      accel.once('vibrationAlert', function (alert) {
+        t.equal(alert.axis, 'y', 'the alert should be on y');
+        accel.once('vibration', function (report) {
+          t.equal(report.rate, 50, 'the report should be at the output rate');
+          t.equal(report.dominant.frequency, 12.5, 'the dominant frequency should be 12.5 Hz');
+          accel.removeAllListeners('vibrationAlert');
+          port.close();
+          t.end();
+        });
+      });
+    });
+  });
+});